@@ -6,6 +6,8 @@ module.exports = {
   parserOptions: {
     "ecmaVersion": 2018,
   },
+  // Copy of ../scraper, linted with the rest of the repo
+  ignorePatterns: ["scraper/"],
   extends: [
     "eslint:recommended",
     "google",
@@ -7,9 +7,14 @@
  * See a full list of supported triggers at https://firebase.google.com/docs/functions
  */
 
-const {onRequest} = require("firebase-functions/v2/https");
+const {onCall, onRequest, HttpsError} =
+  require("firebase-functions/v2/https");
+const {onSchedule} = require("firebase-functions/v2/scheduler");
+const {defineSecret, defineString} = require("firebase-functions/params");
 const logger = require("firebase-functions/logger");
 const admin = require("firebase-admin");
+const os = require("os");
+const path = require("path");
 
 // Initialize Firebase Admin SDK
 admin.initializeApp();
@@ -22,6 +27,17 @@ exports.helloWorld = onRequest((request, response) => {
   response.send("Hello from Firebase!");
 });
 
+/**
+ * Load the profile of a signed-in user (see scraper/accounts.js).
+ * @param {string} uid User ID from a verified ID token
+ * @return {Promise<Object|null>} Role and student_ids, or null
+ */
+async function getProfile(uid) {
+  const profileDoc = await admin.firestore()
+      .collection("profiles").doc(uid).get();
+  return profileDoc.exists ? profileDoc.data() : null;
+}
+
 // Add a function to get tasks for the Quest Board app
 exports.getTasks = onRequest({
   cors: true,
@@ -40,13 +56,22 @@ exports.getTasks = onRequest({
     }
 
     const idToken = authHeader.slice(7).trim();
-    await admin.auth().verifyIdToken(idToken);
+    const decodedToken = await admin.auth().verifyIdToken(idToken);
+
+    // Only the tasks of the students linked to the caller's profile
+    const profile = await getProfile(decodedToken.uid);
+    const studentIds = profile?.student_ids || [];
+    if (studentIds.length === 0) {
+      response.status(403).json({error: "Forbidden"});
+      return;
+    }
 
-    logger.info("Fetching tasks from Firestore");
+    logger.info("Fetching tasks from Firestore", {studentIds});
 
     const db = admin.firestore();
     const tasksRef = db.collection("tasks");
-    const snapshot = await tasksRef.get();
+    // "in" queries take at most 30 values; a family has far fewer students
+    const snapshot = await tasksRef.where("student_id", "in", studentIds).get();
 
     const tasks = [];
     snapshot.forEach((doc) => {
@@ -67,3 +92,256 @@ exports.getTasks = onRequest({
     response.status(500).json({error: "Failed to fetch tasks"});
   }
 });
+
+// Wilma credentials for the scraper, set with `firebase deploy` prompts or
+// functions/.env.<project>; the password is kept in Secret Manager.
+// Under the emulator, functions/.env.local and .secret.local can point the
+// scraper at the mock Wilma server (`npm run scraper:mock` in the repo root):
+//   WILMA_BASE_URL=http://localhost:3001, WILMA_USERNAME=demo, WILMA_PASSWORD=demo
+const wilmaBaseUrl = defineString("WILMA_BASE_URL");
+const wilmaUsername = defineString("WILMA_USERNAME");
+const wilmaPassword = defineSecret("WILMA_PASSWORD");
+const wilmaStudentNumber = defineString("WILMA_STUDENT_NUMBER", {default: ""});
+
+// Before school, after lunch, after school and in the evening on weekdays
+const SYNC_SCHEDULE = "0 7,12,15,19 * * 1-5";
+const SYNC_TIME_ZONE = "Europe/Helsinki";
+
+// Shared options for both sync triggers
+const SYNC_OPTIONS = {
+  secrets: [wilmaPassword],
+  timeoutSeconds: 300,
+  memory: "512MiB",
+  maxInstances: 1,
+};
+
+// maxInstances only limits each function on its own, so the two triggers
+// take a lease on this document before syncing. It lives outside the
+// scraperRuns log, in a collection no security rule opens to the app. A
+// lease outlives the function timeout, so one left by a crashed instance
+// expires by itself.
+const SYNC_LEASE_PATH = "locks/wilmaSync";
+const SYNC_LEASE_MS = (SYNC_OPTIONS.timeoutSeconds + 60) * 1000;
+
+/**
+ * Take the sync lease unless another run holds it.
+ * @param {string} trigger What wants to sync, for the lease document
+ * @return {Promise<string|null>} Lease ID, or null if a sync is running
+ */
+async function acquireSyncLease(trigger) {
+  const db = admin.firestore();
+  const leaseRef = db.doc(SYNC_LEASE_PATH);
+  const suffix = Math.random().toString(36).slice(2, 8);
+  const leaseId = `${trigger}-${Date.now()}-${suffix}`;
+
+  return db.runTransaction(async (transaction) => {
+    const leaseDoc = await transaction.get(leaseRef);
+    const now = Date.now();
+    if (leaseDoc.exists && Date.parse(leaseDoc.data().expires_at) > now) {
+      return null;
+    }
+
+    transaction.set(leaseRef, {
+      lease_id: leaseId,
+      trigger,
+      acquired_at: new Date(now).toISOString(),
+      expires_at: new Date(now + SYNC_LEASE_MS).toISOString(),
+    });
+    return leaseId;
+  });
+}
+
+/**
+ * Give the sync lease back, unless it has expired and been taken over.
+ * @param {string} leaseId Lease ID from acquireSyncLease
+ * @return {Promise<void>}
+ */
+async function releaseSyncLease(leaseId) {
+  const db = admin.firestore();
+  const leaseRef = db.doc(SYNC_LEASE_PATH);
+
+  await db.runTransaction(async (transaction) => {
+    const leaseDoc = await transaction.get(leaseRef);
+    if (leaseDoc.exists && leaseDoc.data().lease_id === leaseId) {
+      transaction.delete(leaseRef);
+    }
+  });
+}
+
+/**
+ * Thrown when a sync is requested while another one is running.
+ */
+class SyncInProgressError extends Error {
+  /**
+   * @param {string} message Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = "SyncInProgressError";
+  }
+}
+
+/**
+ * Run the bundled scraper with credentials from the function config.
+ * Holds the sync lease for the whole run.
+ * @param {string} trigger What started the run, for the scraperRuns log
+ * @return {Promise<Object>} Sync summary returned by runScraper
+ * @throws {SyncInProgressError} When another sync holds the lease
+ */
+async function runWilmaSync(trigger) {
+  const leaseId = await acquireSyncLease(trigger);
+  if (!leaseId) {
+    throw new SyncInProgressError("Another Wilma sync is running");
+  }
+
+  try {
+    return await runBundledScraper(trigger);
+  } finally {
+    await releaseSyncLease(leaseId).catch((error) => {
+      logger.error("Could not release the sync lease:", error);
+    });
+  }
+}
+
+/**
+ * Configure and run the bundled scraper.
+ * @param {string} trigger What started the run, for the scraperRuns log
+ * @return {Promise<Object>} Sync summary returned by runScraper
+ */
+async function runBundledScraper(trigger) {
+  // The scraper reads its configuration from process.env when loaded
+  process.env.WILMA_BASE_URL = wilmaBaseUrl.value();
+  process.env.WILMA_USERNAME = wilmaUsername.value();
+  process.env.WILMA_PASSWORD = wilmaPassword.value();
+  process.env.WILMA_STUDENT_NUMBER = wilmaStudentNumber.value();
+  // The deployed source is read-only. The outbox of failed writes lives in
+  // the instance's temp dir, so it is only replayed while the instance is warm.
+  process.env.SCRAPER_OUTBOX_FILE =
+    path.join(os.tmpdir(), "scraper-outbox.jsonl");
+
+  const {runScraper} = require("./scraper/index");
+  return runScraper({trigger});
+}
+
+// Sync Wilma several times per school day
+exports.scheduledSync = onSchedule({
+  ...SYNC_OPTIONS,
+  schedule: SYNC_SCHEDULE,
+  timeZone: SYNC_TIME_ZONE,
+}, async () => {
+  try {
+    const result = await runWilmaSync("schedule");
+    logger.info("Scheduled Wilma sync finished", result);
+  } catch (error) {
+    if (error instanceof SyncInProgressError) {
+      logger.info("Skipping scheduled Wilma sync: one is already running");
+      return;
+    }
+    logger.error("Scheduled Wilma sync failed:", error);
+    throw error;
+  }
+});
+
+// "Sync now" button: POST with a Firebase ID token to run a sync immediately
+exports.syncNow = onRequest({
+  ...SYNC_OPTIONS,
+  cors: true,
+}, async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      response.status(405).json({error: "Method not allowed"});
+      return;
+    }
+
+    const authHeader = request.get("authorization") || "";
+    if (!authHeader.startsWith("Bearer ")) {
+      response.status(401).json({error: "Unauthorized"});
+      return;
+    }
+
+    const idToken = authHeader.slice(7).trim();
+    const decodedToken = await admin.auth().verifyIdToken(idToken);
+
+    // Syncing is a parent's job, like the other settings
+    const profile = await getProfile(decodedToken.uid);
+    if (profile?.role !== "parent") {
+      response.status(403).json({error: "Forbidden"});
+      return;
+    }
+
+    logger.info("Manual Wilma sync requested", {uid: decodedToken.uid});
+    const result = await runWilmaSync("manual");
+
+    response.status(200).json(result);
+  } catch (error) {
+    if (typeof error.code === "string" && error.code.startsWith("auth/")) {
+      response.status(401).json({error: "Unauthorized"});
+      return;
+    }
+    if (error instanceof SyncInProgressError) {
+      response.status(409).json({error: "A Wilma sync is already running"});
+      return;
+    }
+
+    logger.error("Manual Wilma sync failed:", error);
+    const status = error.name === "WilmaAuthError" ? 502 : 500;
+    response.status(status).json({error: "Wilma sync failed"});
+  }
+});
+
+// Wrong PINs allowed before a child account is locked for a while
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+// Child sign-in on a shared tablet: check the PIN set with
+// `questboard-scraper users set-pin` and return a custom token for the
+// child's account. Creating custom tokens needs the "Service Account Token
+// Creator" role on the functions service account.
+exports.childSignIn = onCall({maxInstances: 10}, async (request) => {
+  const {studentId, pin} = request.data || {};
+  if (typeof studentId !== "string" || typeof pin !== "string") {
+    throw new HttpsError("invalid-argument", "studentId and pin are needed");
+  }
+
+  const {getChildUid, verifyPin} = require("./scraper/pin");
+  const db = admin.firestore();
+  const pinRef = db.collection("childPins").doc(studentId);
+
+  // Count the attempt in a transaction so parallel guesses cannot skip it
+  const outcome = await db.runTransaction(async (transaction) => {
+    const pinDoc = await transaction.get(pinRef);
+    if (!pinDoc.exists) return "unknown";
+
+    const stored = pinDoc.data();
+    const now = Date.now();
+    if (stored.locked_until && Date.parse(stored.locked_until) > now) {
+      return "locked";
+    }
+
+    if (verifyPin(pin, stored)) {
+      transaction.update(pinRef, {failed_attempts: 0, locked_until: null});
+      return "ok";
+    }
+
+    const failedAttempts = (stored.failed_attempts || 0) + 1;
+    const locked = failedAttempts >= MAX_PIN_ATTEMPTS;
+    transaction.update(pinRef, {
+      failed_attempts: locked ? 0 : failedAttempts,
+      locked_until: locked ?
+        new Date(now + PIN_LOCKOUT_MS).toISOString() : null,
+    });
+    return "wrong";
+  });
+
+  if (outcome === "locked") {
+    throw new HttpsError("resource-exhausted", "Too many wrong PINs");
+  }
+  if (outcome !== "ok") {
+    logger.warn("Wrong child PIN", {studentId});
+    throw new HttpsError("permission-denied", "Wrong PIN");
+  }
+
+  const token = await admin.auth()
+      .createCustomToken(getChildUid(studentId), {role: "child"});
+  return {token};
+});
@@ -0,0 +1,26 @@
+/**
+ * Copy the scraper into the functions source before deploying or
+ * starting the emulator. Only the functions directory is uploaded, so the
+ * scraper modules under ../scraper have to live next to index.js.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const SOURCE_DIR = path.join(__dirname, "..", "..", "scraper");
+const TARGET_DIR = path.join(__dirname, "..", "scraper");
+
+// Command line and local-only tools are not needed in the cloud
+const EXCLUDED = new Set(["cli.js", "school-portal.js"]);
+
+fs.rmSync(TARGET_DIR, {recursive: true, force: true});
+fs.mkdirSync(TARGET_DIR);
+
+const files = fs.readdirSync(SOURCE_DIR)
+    .filter((file) => file.endsWith(".js") && !EXCLUDED.has(file));
+
+for (const file of files) {
+  fs.copyFileSync(path.join(SOURCE_DIR, file), path.join(TARGET_DIR, file));
+}
+
+console.log(`Copied ${files.length} scraper modules to ${TARGET_DIR}`);
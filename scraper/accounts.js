@@ -0,0 +1,111 @@
+// accounts.js - Manage who can sign in to the app
+//
+// Every account has a profile in profiles/{uid} with its role and the
+// students it can see:
+//   { role: 'parent' | 'child', student_ids: [...], email?, name? }
+// Parents sign in with an email link; a child signs in on a tablet with a
+// PIN (see pin.js and the childSignIn Cloud Function). Profiles are written
+// here with the service account, since app users cannot change them.
+
+const { getDb, getAdminAuth } = require('./firebase');
+const { getChildUid, hashPin } = require('./pin');
+
+const ROLE_ORDER = { parent: 0, child: 1 };
+
+// List all profiles, parents first
+async function listProfiles() {
+  const profilesSnapshot = await getDb().collection('profiles').get();
+  return profilesSnapshot.docs
+    .map(profileDoc => ({ uid: profileDoc.id, ...profileDoc.data() }))
+    .sort((a, b) => (ROLE_ORDER[a.role] ?? 2) - (ROLE_ORDER[b.role] ?? 2) || a.uid.localeCompare(b.uid));
+}
+
+// Load a student registered by the scraper; unknown numbers fail early
+async function getStudent(studentId) {
+  const studentDoc = await getDb().collection('students').doc(studentId).get();
+  if (!studentDoc.exists) {
+    throw new Error(`Unknown student ${studentId}; run a sync first`);
+  }
+  return studentDoc.data();
+}
+
+/**
+ * Let a parent sign in with an email link and see the given students.
+ * The Auth account is created if the email has not signed in before.
+ * @param {string} email - Parent's email address
+ * @param {Array<string>} studentIds - Students the parent can see
+ * @returns {Promise<string>} The parent's user ID
+ */
+async function addParent(email, studentIds) {
+  if (!studentIds || studentIds.length === 0) {
+    throw new Error('A parent needs at least one student (--student)');
+  }
+  for (const studentId of studentIds) {
+    await getStudent(studentId);
+  }
+
+  let user;
+  try {
+    user = await getAdminAuth().getUserByEmail(email);
+  } catch (error) {
+    if (error.code !== 'auth/user-not-found') throw error;
+    user = await getAdminAuth().createUser({ email });
+  }
+
+  await getDb().collection('profiles').doc(user.uid).set({
+    role: 'parent',
+    email,
+    student_ids: studentIds,
+    updatedAt: new Date().toISOString()
+  }, { merge: true });
+
+  return user.uid;
+}
+
+/**
+ * Set the PIN a child signs in with, creating the child's profile.
+ * Setting a new PIN also lifts a lockout after too many wrong guesses.
+ * @param {string} studentId - Student number
+ * @param {string} pin - Four to eight digits
+ * @returns {Promise<string>} The child's user ID
+ */
+async function setChildPin(studentId, pin) {
+  const student = await getStudent(studentId);
+  const uid = getChildUid(studentId);
+  const now = new Date().toISOString();
+
+  await getDb().collection('childPins').doc(studentId).set({
+    ...hashPin(pin),
+    failed_attempts: 0,
+    locked_until: null,
+    updatedAt: now
+  });
+  await getDb().collection('profiles').doc(uid).set({
+    role: 'child',
+    name: student.name || studentId,
+    student_ids: [studentId],
+    updatedAt: now
+  }, { merge: true });
+
+  return uid;
+}
+
+// Remove a profile; the account can still sign in but sees nothing.
+// For a child account the PIN is removed as well.
+async function removeProfile(uid) {
+  const profileRef = getDb().collection('profiles').doc(uid);
+  const profileDoc = await profileRef.get();
+  if (!profileDoc.exists) {
+    throw new Error(`No profile ${uid}`);
+  }
+
+  const profile = profileDoc.data();
+  if (profile.role === 'child') {
+    for (const studentId of profile.student_ids || []) {
+      await getDb().collection('childPins').doc(studentId).delete();
+    }
+  }
+  await profileRef.delete();
+}
+
+module.exports = { listProfiles, addParent, setChildPin, removeProfile };
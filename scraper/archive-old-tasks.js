@@ -1,29 +1,7 @@
-// archive-old-tasks.js - One-off script to mark old tasks as done
+// archive-old-tasks.js - Mark old tasks as done
 require('dotenv').config();
-const { initializeApp } = require('firebase/app');
-const { 
-  getFirestore, 
-  collection, 
-  getDocs, 
-  doc, 
-  updateDoc, 
-  query, 
-  where 
-} = require('firebase/firestore');
-
-// Firebase configuration
-const firebaseConfig = {
-  apiKey: process.env.REACT_APP_FIREBASE_API_KEY,
-  authDomain: process.env.REACT_APP_FIREBASE_AUTH_DOMAIN,
-  projectId: process.env.REACT_APP_FIREBASE_PROJECT_ID,
-  storageBucket: process.env.REACT_APP_FIREBASE_STORAGE_BUCKET,
-  messagingSenderId: process.env.REACT_APP_FIREBASE_MESSAGING_SENDER_ID,
-  appId: process.env.REACT_APP_FIREBASE_APP_ID
-};
-
-// Initialize Firebase
-const app = initializeApp(firebaseConfig);
-const db = getFirestore(app);
+const { getDb } = require('./firebase');
+const { startScraperRun, finishScraperRun } = require('./firestore-sync');
 
 // Helper function to calculate date 14 days ago
 function getDateTwoWeeksAgo() {
@@ -32,69 +10,94 @@ function getDateTwoWeeksAgo() {
   return `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}-${date.getDate().toString().padStart(2, '0')}`;
 }
 
-// Main function
-async function archiveOldTasks() {
+/**
+ * Mark open tasks older than the cutoff as completed.
+ * Homework is judged by when it was given, exams by their date.
+ * @param {Object} [options]
+ * @param {string} [options.before] - Cutoff date YYYY-MM-DD (default: 14 days ago)
+ * @param {string[]} [options.studentIds] - Only archive tasks of these students
+ * @param {boolean} [options.dryRun] - List the tasks without updating them
+ * @returns {Promise<Array<Object>>} The tasks that were (or would be) archived
+ */
+async function archiveOldTasks({ before, studentIds, dryRun = false } = {}) {
+  console.log(`Starting to archive old tasks${dryRun ? ' (dry run)' : ''}...`);
+  
+  // Get the cutoff date (14 days ago unless given)
+  const cutoffDate = before || getDateTwoWeeksAgo();
+  console.log(`Cutoff date: ${cutoffDate}`);
+  
+  // Real runs are recorded in the scraperRuns audit log next to syncs
+  const startedAt = new Date();
+  const runId = dryRun ? null : await startScraperRun({ type: 'archive', before: cutoffDate });
+  
+  // Get all tasks
+  const db = getDb();
+  let tasksSnapshot;
   try {
-    console.log('Starting to archive old tasks...');
+    tasksSnapshot = await db.collection('tasks').get();
+  } catch (error) {
+    await finishScraperRun(runId, {
+      startedAt,
+      status: 'failed',
+      errors: [{ step: 'archive', type: error.name || 'Error', message: error.message }]
+    });
+    throw error;
+  }
+  const archived = [];
+  const errors = [];
+  
+  // Process each task
+  for (const taskDoc of tasksSnapshot.docs) {
+    const task = { id: taskDoc.id, ...taskDoc.data() };
     
-    // Get the cutoff date (14 days ago)
-    const cutoffDate = getDateTwoWeeksAgo();
-    console.log(`Cutoff date: ${cutoffDate}`);
+    // Check if task is already completed or belongs to another student
+    if (task.completed) continue;
+    if (studentIds && studentIds.length > 0 && !studentIds.includes(String(task.student_id))) continue;
     
-    // Get all tasks
-    const tasksSnapshot = await getDocs(collection(db, 'tasks'));
-    let totalTasks = 0;
-    let updatedTasks = 0;
+    // For homework tasks, check date_added; for exam tasks, check due_date
+    const taskDate = task.type === 'exam' ? task.due_date : task.date_added;
+    if (!taskDate || taskDate >= cutoffDate) continue;
     
-    // Process each task
-    for (const taskDoc of tasksSnapshot.docs) {
-      totalTasks++;
-      const task = taskDoc.data();
-      const taskId = taskDoc.id;
-      
-      // Check if task is already completed
-      if (task.completed) {
-        continue;
-      }
-      
-      // Check task dates
-      let shouldComplete = false;
-      
-      // For homework tasks, check date_added
-      if (task.type === 'homework' && task.date_added && task.date_added < cutoffDate) {
-        shouldComplete = true;
-      }
-      
-      // For exam tasks, check due_date
-      if (task.type === 'exam' && task.due_date && task.due_date < cutoffDate) {
-        shouldComplete = true;
-      }
-      
-      // Update task if needed
-      if (shouldComplete) {
-        try {
-          await updateDoc(doc(db, 'tasks', taskId), {
-            completed: true,
-            status: 'completed'
-          });
-          
-          updatedTasks++;
-          console.log(`Marked task as completed: ${taskId} (${task.subject} - ${task.type})`);
-        } catch (updateError) {
-          console.error(`Error updating task ${taskId}:`, updateError);
-        }
-      }
+    if (dryRun) {
+      archived.push(task);
+      continue;
     }
     
-    console.log(`\n===== ARCHIVE SUMMARY =====`);
-    console.log(`Total tasks: ${totalTasks}`);
-    console.log(`Tasks marked as completed: ${updatedTasks}`);
-    console.log('Archive process completed');
-    
-  } catch (error) {
-    console.error('Error archiving old tasks:', error);
+    try {
+      await db.collection('tasks').doc(task.id).update({
+        completed: true,
+        status: 'completed'
+      });
+      
+      archived.push(task);
+      console.log(`Marked task as completed: ${task.id} (${task.subject} - ${task.type})`);
+    } catch (updateError) {
+      console.error(`Error updating task ${task.id}:`, updateError);
+      errors.push({ step: 'archive', task_id: task.id, type: updateError.name || 'Error', message: updateError.message });
+    }
   }
+  
+  console.log(`\n===== ARCHIVE SUMMARY =====`);
+  console.log(`Total tasks: ${tasksSnapshot.size}`);
+  console.log(`Tasks ${dryRun ? 'that would be marked' : 'marked'} as completed: ${archived.length}`);
+  console.log('Archive process completed');
+  
+  await finishScraperRun(runId, {
+    startedAt,
+    status: 'success',
+    counts: { archived: archived.length },
+    errors
+  });
+  
+  return archived;
+}
+
+// Run directly when executed as a script
+if (require.main === module) {
+  archiveOldTasks().catch(error => {
+    console.error('Error archiving old tasks:', error);
+    process.exit(1);
+  });
 }
 
-// Run the script
-archiveOldTasks();
+module.exports = { archiveOldTasks };
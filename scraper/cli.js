@@ -0,0 +1,359 @@
+#!/usr/bin/env node
+// cli.js - Command line entry point for the scraper
+//
+// Usage: questboard-scraper <command> [options]
+//
+// Modules are required inside each command, so a command only needs the
+// configuration it actually uses (archive works without Wilma credentials,
+// doctor reports missing settings instead of crashing).
+
+require('dotenv').config();
+
+const USAGE = `Usage: questboard-scraper <command> [options]
+
+Commands:
+  sync       Fetch Wilma data and write it to Firestore
+  diff       Show which tasks a sync would add, update or withdraw
+  archive    Mark tasks older than the cutoff as completed
+  subjects   Write the built-in subject catalog to Firestore
+  calendar   Upload the school calendar (school-calendar.json) to Firestore
+  outbox     Show Firestore writes waiting to be replayed by the next sync
+  users      List app accounts, or manage them:
+               users add-parent <email> --student <ids>
+               users set-pin <student> <pin>
+               users remove <uid>
+  doctor     Check configuration, Wilma login and Firestore access
+
+Options:
+  --dry-run            Show what would change without writing (sync, archive, subjects, calendar)
+  --student <ids>      Comma-separated student numbers (sync, diff, archive, users add-parent)
+  --since <date>       Ignore tasks dated before YYYY-MM-DD (sync, diff)
+  --before <date>      Archive cutoff, default 14 days ago (archive)
+  --clear              Delete existing subjects first (subjects), drop pending writes (outbox)
+  --file <path>        Calendar file to upload (calendar)
+  -h, --help           Show this help`;
+
+// Flags that take a value; everything else is a boolean switch
+const VALUE_FLAGS = ['student', 'since', 'before', 'file'];
+const BOOLEAN_FLAGS = ['dry-run', 'clear', 'help'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h') {
+      options.help = true;
+      continue;
+    }
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (VALUE_FLAGS.includes(name)) {
+      const value = inlineValue ?? argv[++i];
+      if (value === undefined || value.startsWith('--')) {
+        throw new UsageError(`--${name} needs a value`);
+      }
+      options[name] = value;
+    } else if (BOOLEAN_FLAGS.includes(name)) {
+      options[name] = true;
+    } else {
+      throw new UsageError(`Unknown option: ${arg}`);
+    }
+  }
+
+  for (const name of ['since', 'before']) {
+    if (options[name] && !DATE_PATTERN.test(options[name])) {
+      throw new UsageError(`--${name} must be a date like 2025-03-01`);
+    }
+  }
+
+  return {
+    command: positional[0],
+    extra: positional.slice(1),
+    dryRun: Boolean(options['dry-run']),
+    studentIds: options.student
+      ? options.student.split(',').map(id => id.trim()).filter(Boolean)
+      : undefined,
+    since: options.since,
+    before: options.before,
+    clear: Boolean(options.clear),
+    file: options.file,
+    help: Boolean(options.help),
+  };
+}
+
+function describeTask(task) {
+  const date = task.type === 'exam' ? task.due_date : task.date_added;
+  const text = (task.description || '').replace(/\s+/g, ' ');
+  return `${task.id}  ${task.subject} ${task.type} ${date || '????-??-??'}  "${text.substring(0, 60)}"`;
+}
+
+// Print the result of firestoreSync.planTaskSync
+function printPlan(plan, unmappedSubjects = []) {
+  const { toAdd, revisions, withdrawn, reappeared, relabeled } = plan;
+
+  console.log(`\n===== PLANNED CHANGES =====`);
+  console.log(`\nWould add ${toAdd.length} task(s):`);
+  for (const task of toAdd) {
+    const note = task.migrated_from ? ` (replaces ${task.migrated_from})` : '';
+    console.log(`  + ${describeTask(task)}${note}`);
+  }
+
+  console.log(`\nWould update ${revisions.length} task(s) edited in Wilma:`);
+  for (const { task, changes } of revisions) {
+    console.log(`  ~ ${describeTask(task)}`);
+    for (const [field, { before, after }] of Object.entries(changes)) {
+      console.log(`      ${field}: ${JSON.stringify(before)} -> ${JSON.stringify(after)}`);
+    }
+  }
+
+  console.log(`\nWould mark ${withdrawn.length} task(s) as withdrawn from Wilma:`);
+  for (const task of withdrawn) {
+    console.log(`  - ${describeTask(task)}`);
+  }
+
+  console.log(`\nWould restore ${reappeared.length} withdrawn task(s):`);
+  for (const task of reappeared) {
+    console.log(`  ↺ ${describeTask(task)}`);
+  }
+
+  console.log(`\nWould move ${relabeled.length} task(s) to a newly mapped subject:`);
+  for (const { task, subject } of relabeled) {
+    console.log(`  → ${describeTask(task)} -> ${subject}`);
+  }
+
+  if (unmappedSubjects.length > 0) {
+    console.log(`\nWould queue ${unmappedSubjects.length} unmapped course name(s) for review:`);
+    for (const courseName of unmappedSubjects) {
+      console.log(`  ? ${courseName}`);
+    }
+  }
+}
+
+async function runSync(args) {
+  const { runScraper } = require('./index');
+  const result = await runScraper({
+    dryRun: args.dryRun,
+    studentIds: args.studentIds,
+    since: args.since,
+  });
+  if (result.dryRun) {
+    printPlan(result.plan, result.unmappedSubjects);
+  }
+}
+
+async function runDiff(args) {
+  await runSync({ ...args, dryRun: true });
+}
+
+async function runArchive(args) {
+  const { archiveOldTasks } = require('./archive-old-tasks');
+  const archived = await archiveOldTasks({
+    before: args.before,
+    studentIds: args.studentIds,
+    dryRun: args.dryRun,
+  });
+  if (args.dryRun) {
+    for (const task of archived) {
+      console.log(`  ✓ ${describeTask(task)}`);
+    }
+  }
+}
+
+async function runSubjects(args) {
+  const { populateSubjects } = require('./populate-subjects');
+  await populateSubjects({ dryRun: args.dryRun, clear: args.clear });
+}
+
+async function runCalendar(args) {
+  const path = require('path');
+  const { DEFAULT_CALENDAR_FILE, loadCalendarFile } = require('./school-calendar');
+  const file = args.file ? path.resolve(args.file) : DEFAULT_CALENDAR_FILE;
+  const calendar = loadCalendarFile(file);
+
+  console.log(`School calendar from ${file}:`);
+  for (const term of calendar.terms) {
+    console.log(`  Term     ${term.start} - ${term.end}  ${term.name}`);
+  }
+  for (const holiday of calendar.holidays) {
+    console.log(`  Holiday  ${holiday.start} - ${holiday.end}  ${holiday.name}`);
+  }
+  for (const day of calendar.non_school_days) {
+    console.log(`  Day off  ${day.date}               ${day.name}`);
+  }
+
+  if (args.dryRun) return;
+
+  const { saveCalendar } = require('./firestore-sync');
+  await saveCalendar(calendar);
+  console.log('Saved school calendar to Firestore');
+}
+
+async function runOutbox(args) {
+  const outbox = require('./outbox');
+
+  if (args.clear) {
+    const count = outbox.clearOutbox();
+    console.log(`Dropped ${count} pending write(s) from ${outbox.OUTBOX_FILE}`);
+    return;
+  }
+
+  const entries = outbox.loadOutbox();
+  console.log(`${entries.length} pending write(s) in ${outbox.OUTBOX_FILE}`);
+  for (const entry of entries) {
+    const attempts = entry.attempts > 1 ? `, ${entry.attempts} attempts` : '';
+    console.log(`  ${entry.step.padEnd(9)} ${entry.id}  failed ${entry.failed_at}${attempts}: ${entry.error}`);
+  }
+}
+
+async function runUsers(args) {
+  const accounts = require('./accounts');
+  const [action = 'list', ...values] = args.extra;
+
+  if (action === 'list') {
+    const profiles = await accounts.listProfiles();
+    console.log(`${profiles.length} account(s):`);
+    for (const profile of profiles) {
+      const who = profile.email || profile.name || '';
+      console.log(`  ${profile.role.padEnd(6)} ${profile.uid}  ${who}  students: ${(profile.student_ids || []).join(', ')}`);
+    }
+    return;
+  }
+
+  if (action === 'add-parent' && values.length === 1) {
+    const uid = await accounts.addParent(values[0], args.studentIds);
+    console.log(`${values[0]} (${uid}) can now sign in with an email link`);
+    return;
+  }
+
+  if (action === 'set-pin' && values.length === 2) {
+    const uid = await accounts.setChildPin(values[0], values[1]);
+    console.log(`PIN set for student ${values[0]} (${uid})`);
+    return;
+  }
+
+  if (action === 'remove' && values.length === 1) {
+    await accounts.removeProfile(values[0]);
+    console.log(`Removed profile ${values[0]}`);
+    return;
+  }
+
+  throw new UsageError(`Unknown users command: ${args.extra.join(' ')}`);
+}
+
+// Run one doctor check, printing its outcome. Returns true when it passed.
+async function check(label, fn) {
+  try {
+    const detail = await fn();
+    console.log(`✓ ${label}${detail ? ` - ${detail}` : ''}`);
+    return true;
+  } catch (error) {
+    console.log(`✗ ${label} - ${error.message}`);
+    return false;
+  }
+}
+
+async function runDoctor() {
+  const results = [];
+
+  results.push(await check('Node.js version', () => {
+    const major = parseInt(process.versions.node, 10);
+    if (major < 20) throw new Error(`Node ${process.versions.node} found, 20 or newer needed`);
+    return process.versions.node;
+  }));
+
+  const wilmaEnvOk = await check('Wilma settings', () => {
+    const missing = ['WILMA_BASE_URL', 'WILMA_USERNAME', 'WILMA_PASSWORD']
+      .filter(name => !process.env[name]);
+    if (missing.length > 0) throw new Error(`missing ${missing.join(', ')}`);
+    return process.env.WILMA_BASE_URL;
+  });
+  results.push(wilmaEnvOk);
+
+  const { getMissingFirebaseEnv } = require('./firebase');
+  const firebaseEnvOk = await check('Firebase settings', () => {
+    const missing = getMissingFirebaseEnv();
+    if (missing.length > 0) throw new Error(`missing ${missing.join(', ')}`);
+    return process.env.FIREBASE_PROJECT_ID || process.env.REACT_APP_FIREBASE_PROJECT_ID;
+  });
+  results.push(firebaseEnvOk);
+
+  if (wilmaEnvOk) {
+    results.push(await check('Wilma login', async () => {
+      const wilmaApi = require('./wilma-api');
+      const jar = await wilmaApi.login();
+      const students = await wilmaApi.fetchStudents(jar);
+      return `${students.length} student(s): ${students.map(s => `${s.name} (${s.id})`).join(', ')}`;
+    }));
+  }
+
+  if (firebaseEnvOk) {
+    results.push(await check('Firestore access', async () => {
+      const { getDb } = require('./firebase');
+      await getDb().collection('tasks').limit(1).get();
+      return 'tasks collection readable with the service account';
+    }));
+  }
+
+  const failed = results.filter(ok => !ok).length;
+  console.log(failed === 0 ? '\nAll checks passed' : `\n${failed} check(s) failed`);
+  return failed === 0;
+}
+
+const COMMANDS = {
+  sync: runSync,
+  diff: runDiff,
+  archive: runArchive,
+  subjects: runSubjects,
+  calendar: runCalendar,
+  outbox: runOutbox,
+  users: runUsers,
+  doctor: runDoctor,
+};
+
+// Commands that take positional arguments after their name
+const COMMANDS_WITH_ARGUMENTS = new Set(['users']);
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  if (args.help || !args.command) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const command = COMMANDS[args.command];
+  if (!command) {
+    throw new UsageError(`Unknown command: ${args.command}`);
+  }
+  if (args.extra.length > 0 && !COMMANDS_WITH_ARGUMENTS.has(args.command)) {
+    throw new UsageError(`Unexpected argument: ${args.extra[0]}`);
+  }
+
+  const ok = await command(args);
+  return ok === false ? 1 : 0;
+}
+
+// Run directly when executed as a script
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(err => {
+      if (err instanceof UsageError) {
+        console.error(`${err.message}\n\n${USAGE}`);
+        process.exit(64);
+      }
+      console.error('Scraper failed:', err.message);
+      // Credentials need fixing by hand; anything else may succeed on the next run
+      process.exit(err.name === 'WilmaAuthError' ? 2 : 1);
+    });
+}
+
+module.exports = { main, parseArgs };
@@ -1,6 +1,12 @@
 // dateUtils.js - Utility functions for date handling in scraper
 // Self-contained version for Node.js compatibility
 
+// Weekday names indexed by Date#getDay() (0 = Sunday)
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// How far ahead to look for a lesson; covers the Christmas holiday
+const MAX_DAYS_AHEAD = 60;
+
 // Date Formats
 const FORMATS = {
   FINNISH: 'DD.MM.YYYY',
@@ -87,31 +93,65 @@ function isoToDate(isoDate) {
   }
 }
 
+/**
+ * Reduce a timetable to a map of weekday numbers per subject
+ * @param {Object<string, Array<{weekday: number}>>} timetable - Lessons per subject
+ * @returns {Object<string, number[]>} Weekdays (0 = Sunday) on which each subject has class
+ */
+function getWeekdayMap(timetable) {
+  const weekdays = {};
+  for (const [subject, lessons] of Object.entries(timetable || {})) {
+    weekdays[subject] = [...new Set(lessons.map(lesson => lesson.weekday))];
+  }
+  return weekdays;
+}
+
+// Format a Date as YYYY-MM-DD in local time
+function toIsoDate(date) {
+  return `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}-${date.getDate().toString().padStart(2, '0')}`;
+}
+
+/**
+ * Find the first day after a date on which school is open
+ * @param {Date|string} fromDate - Starting date (Date object or ISO string)
+ * @param {Function} [isOpen] - Predicate taking a YYYY-MM-DD date, true on school days
+ * @returns {Date} The next school day (or simply the next day if none is found)
+ */
+function findNextSchoolDay(fromDate = new Date(), isOpen = () => true) {
+  const nextDate = fromDate instanceof Date ? new Date(fromDate) : new Date(fromDate);
+  nextDate.setHours(0, 0, 0, 0);
+  
+  for (let daysChecked = 0; daysChecked < MAX_DAYS_AHEAD; daysChecked++) {
+    nextDate.setDate(nextDate.getDate() + 1);
+    if (isOpen(toIsoDate(nextDate))) {
+      return nextDate;
+    }
+  }
+  
+  const fallbackDate = fromDate instanceof Date ? new Date(fromDate) : new Date(fromDate);
+  fallbackDate.setHours(0, 0, 0, 0);
+  fallbackDate.setDate(fallbackDate.getDate() + 1);
+  return fallbackDate;
+}
+
 /**
  * Find the next occurrence of a subject's class from a given date
  * @param {string} subject - The subject name (e.g., 'Math', 'History')
  * @param {Date|string} fromDate - Starting date (Date object or ISO string)
- * @param {Object} [weeklySchedule] - Optional weekly schedule override
+ * @param {Object<string, number[]>} [weeklySchedule] - Weekdays per subject, as built by getWeekdayMap
+ * @param {Function} [isOpen] - Predicate taking a YYYY-MM-DD date, false on holidays
  * @returns {Date} Date object representing the next class occurrence
  */
-function findNextClassOccurrence(subject, fromDate = new Date(), weeklySchedule = null) {
+function findNextClassOccurrence(subject, fromDate = new Date(), weeklySchedule = null, isOpen = () => true) {
   // Convert fromDate to Date object if it's a string
   const startDate = fromDate instanceof Date ? new Date(fromDate) : new Date(fromDate);
   
   // Reset hours to ensure consistent date comparison
   startDate.setHours(0, 0, 0, 0);
   
-  // Default weekly schedule - subjects and their weekdays (0 = Sunday, 1 = Monday, etc.)
-  // This can be overridden by passing a different schedule
-  const schedule = weeklySchedule || {
-    'Math': [1, 3, 5],       // Monday, Wednesday, Friday
-    'Finnish': [1, 2, 4],    // Monday, Tuesday, Thursday
-    'English': [2, 4],       // Tuesday, Thursday
-    'History': [3, 5],       // Wednesday, Friday
-    'Civics': [2, 4],        // Tuesday, Thursday
-    'Ethics': [3],           // Wednesday
-    'Eco': [1, 5]            // Monday, Friday
-  };
+  // Weekly schedule - subjects and their weekdays (0 = Sunday, 1 = Monday, etc.)
+  // derived from the Wilma timetable
+  const schedule = weeklySchedule || {};
   
   // Get the subject's schedule (case insensitive match)
   const subjectLower = subject.toLowerCase();
@@ -121,42 +161,41 @@ function findNextClassOccurrence(subject, fromDate = new Date(), weeklySchedule
     key => key.toLowerCase() === subjectLower
   )] : [];
   
-  // If subject not found in schedule, return the next day as fallback
+  // If subject not found in schedule, return the next school day as fallback
   if (!subjectWeekdays || subjectWeekdays.length === 0) {
-    const nextDay = new Date(startDate);
-    nextDay.setDate(nextDay.getDate() + 1);
-    return nextDay;
+    return findNextSchoolDay(startDate, isOpen);
   }
   
-  // Find the next occurrence
+  // Find the next occurrence, skipping holidays
   let nextDate = new Date(startDate);
   let daysChecked = 0;
-  const MAX_DAYS = 14; // Safety limit to prevent infinite loops
   
-  while (daysChecked < MAX_DAYS) {
+  while (daysChecked < MAX_DAYS_AHEAD) {
     // Move to the next day
     nextDate.setDate(nextDate.getDate() + 1);
     
     // Check if this day matches one of the subject's weekdays
     const weekday = nextDate.getDay(); // 0-6
-    if (subjectWeekdays.includes(weekday)) {
+    if (subjectWeekdays.includes(weekday) && isOpen(toIsoDate(nextDate))) {
       return nextDate; // Found the next occurrence
     }
     
     daysChecked++;
   }
   
-  // Fallback: if no match found within reasonable time, return next day
-  const fallbackDate = new Date(startDate);
-  fallbackDate.setDate(fallbackDate.getDate() + 1);
-  return fallbackDate;
+  // Fallback: if no match found within reasonable time, return next school day
+  return findNextSchoolDay(startDate, isOpen);
 }
 
 // Export the functions using CommonJS module.exports
 module.exports = {
+  DAY_NAMES,
   FORMATS,
   convertDateFormat,
   getTodayIsoDate,
   isoToDate,
+  getWeekdayMap,
+  toIsoDate,
+  findNextSchoolDay,
   findNextClassOccurrence
 };
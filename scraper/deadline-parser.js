@@ -0,0 +1,167 @@
+// deadline-parser.js - Find explicit deadlines in Finnish homework text
+//
+// Teachers often put the deadline in the homework itself ("palautus pe 14.3.",
+// "ensi maanantaiksi", "huomiseksi"). Such a deadline is more reliable than
+// the next lesson derived from the timetable.
+
+const { toIsoDate } = require('./dateUtils');
+
+// Deadlines further away than this are more likely something else (a test
+// date mentioned in passing, a page number that looks like a date)
+const MAX_DAYS_AHEAD = 120;
+
+// Weekday name stems with their JavaScript weekday number (0 = Sunday).
+// Matched with the translative/illative endings used for deadlines:
+// maanantaiksi, maanantaihin (mennessä), keskiviikoksi, keskiviikkoon
+const WEEKDAY_STEMS = [
+  ['maanantai', 1],
+  ['tiistai', 2],
+  ['keskiviikk?o', 3],
+  ['torstai', 4],
+  ['perjantai', 5],
+  ['lauantai', 6],
+  ['sunnuntai', 0]
+];
+
+// Abbreviations only count next to a deadline word ("palautus pe", "to mennessä")
+const WEEKDAY_ABBREVIATIONS = { ma: 1, ti: 2, ke: 3, to: 4, pe: 5, la: 6, su: 0 };
+
+// Words that make a bare day.month. a deadline
+const DATE_CONTEXT_WORDS = [
+  ...Object.keys(WEEKDAY_ABBREVIATIONS),
+  'palautus', 'palauta', 'palautettava', 'dl', 'viimeistään', 'mennessä'
+];
+
+// Phrases relative to the day the homework was given
+const RELATIVE_PHRASES = [
+  [/(?<!\p{L})ylihuomiseksi(?!\p{L})/u, 2],
+  [/(?<!\p{L})(?:huomiseksi|huomenna)(?!\p{L})/u, 1],
+  [/(?<!\p{L})kahden viikon (?:päästä|kuluttua)(?!\p{L})/u, 14],
+  [/(?<!\p{L})viikon (?:päästä|kuluttua)(?!\p{L})/u, 7]
+];
+
+// Parse a YYYY-MM-DD date as local midnight
+function parseIsoDate(isoDate) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+// Dates written as 14.3., 14.3.25 or 14.3.2025. Textbook sections such as
+// "kappale 3.4." look the same, so a date without a year only counts next to
+// a weekday or deadline word ("pe 14.3.", "palautus 14.3.", "14.3. mennessä").
+// Without a year the first such date on or after fromDate is used.
+function findExplicitDate(text, fromDate) {
+  const datePattern = new RegExp(
+    `(?:^|[^\\p{L}\\d.])(?:(${DATE_CONTEXT_WORDS.join('|')})[:\\s]+)?` +
+    '(\\d{1,2})\\.(\\d{1,2})\\.(\\d{4}|\\d{2})?(?!\\d)(\\s+mennessä)?',
+    'gu'
+  );
+  let match;
+
+  while ((match = datePattern.exec(text)) !== null) {
+    const [, contextWord, dayText, monthText, yearText, byWord] = match;
+    if (!contextWord && !yearText && !byWord) continue;
+
+    const day = parseInt(dayText, 10);
+    const month = parseInt(monthText, 10);
+    if (day < 1 || day > 31 || month < 1 || month > 12) continue;
+
+    let year = yearText ? parseInt(yearText, 10) : fromDate.getFullYear();
+    if (yearText && yearText.length === 2) year += 2000;
+
+    let date = new Date(year, month - 1, day);
+    if (date.getDate() !== day) continue;
+    if (!yearText && date < fromDate) {
+      date = new Date(year + 1, month - 1, day);
+    }
+    if (date < fromDate) continue;
+
+    return { date, phrase: match[0].replace(/^[^\p{L}\d]/u, '') };
+  }
+
+  return null;
+}
+
+// The given weekday after fromDate. With `nextWeek` ("ensi perjantaiksi") the
+// weekday of the following calendar week (weeks start on Monday).
+function resolveWeekday(weekday, fromDate, nextWeek) {
+  if (nextWeek) {
+    const daysSinceMonday = (fromDate.getDay() + 6) % 7;
+    const nextMonday = addDays(fromDate, 7 - daysSinceMonday);
+    return addDays(nextMonday, (weekday + 6) % 7);
+  }
+
+  const daysAhead = (weekday - fromDate.getDay() + 7) % 7 || 7;
+  return addDays(fromDate, daysAhead);
+}
+
+function findWeekday(text, fromDate) {
+  for (const [stem, weekday] of WEEKDAY_STEMS) {
+    const pattern = new RegExp(`(?:^|[^\\p{L}])((ensi\\s+)?${stem}(?:ksi|hin|on))(?![\\p{L}])`, 'u');
+    const match = text.match(pattern);
+    if (match) {
+      return { date: resolveWeekday(weekday, fromDate, Boolean(match[2])), phrase: match[1] };
+    }
+  }
+
+  const abbreviations = Object.keys(WEEKDAY_ABBREVIATIONS).join('|');
+  const abbreviationPattern = new RegExp(
+    `(?:^|[^\\p{L}])((?:palautus|palauta|dl)\\s+(${abbreviations})|(${abbreviations})\\s+mennessä)(?![\\p{L}])`,
+    'u'
+  );
+  const match = text.match(abbreviationPattern);
+  if (match) {
+    const weekday = WEEKDAY_ABBREVIATIONS[match[2] || match[3]];
+    return { date: resolveWeekday(weekday, fromDate, false), phrase: match[1] };
+  }
+
+  return null;
+}
+
+function findRelativePhrase(text, fromDate) {
+  for (const [pattern, days] of RELATIVE_PHRASES) {
+    const match = text.match(pattern);
+    if (match) {
+      return { date: addDays(fromDate, days), phrase: match[0] };
+    }
+  }
+
+  // "ensi viikoksi" means by the start of next week
+  const nextWeek = text.match(/(?<!\p{L})ensi viikoksi(?!\p{L})/u);
+  if (nextWeek) {
+    return { date: resolveWeekday(1, fromDate, true), phrase: nextWeek[0] };
+  }
+
+  return null;
+}
+
+/**
+ * Find a deadline written in a Finnish homework description.
+ * Explicit dates win over weekday names, which win over relative phrases.
+ * @param {string} text - Homework description
+ * @param {string} dateAdded - ISO date the homework was given
+ * @returns {{date: string, phrase: string}|null} ISO deadline and the text it came from
+ */
+function parseDeadline(text, dateAdded) {
+  if (!text || !dateAdded) return null;
+
+  const normalizedText = text.toLowerCase().replace(/\s+/g, ' ');
+  const fromDate = parseIsoDate(dateAdded);
+  const latestDate = addDays(fromDate, MAX_DAYS_AHEAD);
+
+  const deadline = findExplicitDate(normalizedText, fromDate) ||
+    findWeekday(normalizedText, fromDate) ||
+    findRelativePhrase(normalizedText, fromDate);
+
+  if (!deadline || deadline.date > latestDate) return null;
+
+  return { date: toIsoDate(deadline.date), phrase: deadline.phrase.trim() };
+}
+
+module.exports = { parseDeadline };
@@ -0,0 +1,86 @@
+// firebase.js - Shared Firebase initialisation for the scraper
+//
+// The scraper writes with the Firebase Admin SDK under a service account,
+// so it is not bound by firestore.rules (which only let signed-in app users
+// touch their own students' data).
+//
+// Firebase is initialised on first use instead of on require, so commands
+// that never touch Firestore can load the modules that do.
+// Credentials come from GOOGLE_APPLICATION_CREDENTIALS (a service account
+// key file) when running locally; inside Cloud Functions the runtime
+// provides both the credentials and the project (FIREBASE_CONFIG).
+// FIRESTORE_EMULATOR_HOST points the scraper at a local emulator, which
+// needs no credentials.
+require('dotenv').config();
+const { initializeApp, applicationDefault } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const { getAuth } = require('firebase-admin/auth');
+
+let app = null;
+let db = null;
+
+// Project settings provided by the Cloud Functions runtime, if any
+function getRuntimeConfig() {
+  try {
+    return process.env.FIREBASE_CONFIG ? JSON.parse(process.env.FIREBASE_CONFIG) : null;
+  } catch {
+    return null;
+  }
+}
+
+function getProjectId() {
+  return process.env.FIREBASE_PROJECT_ID ||
+    process.env.REACT_APP_FIREBASE_PROJECT_ID ||
+    getRuntimeConfig()?.projectId;
+}
+
+// Names of the Firebase variables missing from the environment
+function getMissingFirebaseEnv() {
+  if (getRuntimeConfig()?.projectId) return [];
+
+  const missing = [];
+  if (!getProjectId()) {
+    missing.push('FIREBASE_PROJECT_ID');
+  }
+  if (!process.env.GOOGLE_APPLICATION_CREDENTIALS && !process.env.FIRESTORE_EMULATOR_HOST) {
+    missing.push('GOOGLE_APPLICATION_CREDENTIALS');
+  }
+  return missing;
+}
+
+// Initialise the Admin SDK app on the first call
+function getApp() {
+  if (app) return app;
+
+  const missingFirebaseEnv = getMissingFirebaseEnv();
+  if (missingFirebaseEnv.length > 0) {
+    throw new Error(`Missing required Firebase environment variables: ${missingFirebaseEnv.join(', ')}`);
+  }
+
+  // The emulator accepts any caller; elsewhere use the service account
+  app = initializeApp({
+    projectId: getProjectId(),
+    ...(process.env.FIRESTORE_EMULATOR_HOST ? {} : { credential: applicationDefault() })
+  }, 'scraper');
+
+  if (process.env.FIRESTORE_EMULATOR_HOST) {
+    console.log(`Using Firestore emulator at ${process.env.FIRESTORE_EMULATOR_HOST}`);
+  }
+
+  return app;
+}
+
+// Get the Firestore instance, initialising Firebase on the first call
+function getDb() {
+  if (!db) {
+    db = getFirestore(getApp());
+  }
+  return db;
+}
+
+// Firebase Auth, for managing the accounts that sign in to the app
+function getAdminAuth() {
+  return getAuth(getApp());
+}
+
+module.exports = { getDb, getAdminAuth, getMissingFirebaseEnv };
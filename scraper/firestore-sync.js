@@ -1,208 +1,896 @@
 // firestore-sync.js - Module for synchronizing with Firestore
-require('dotenv').config();
-const fs = require('fs');
-const path = require('path');
-const { translateSubjectName, normalizeDate } = require('./task-processor');
-
-// Import Firebase modules
-const { initializeApp } = require('firebase/app');
-const { 
-  getFirestore, 
-  collection, 
-  getDocs, 
-  doc, 
-  getDoc, 
-  setDoc, 
-  addDoc, 
-  query, 
-  where 
-} = require('firebase/firestore');
-
-// File paths
-const DATA_DIR = path.join(__dirname, 'data');
-
-// Make sure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR);
-}
-
-// Firebase configuration
-const firebaseConfig = {
-  apiKey: process.env.REACT_APP_FIREBASE_API_KEY,
-  authDomain: process.env.REACT_APP_FIREBASE_AUTH_DOMAIN,
-  projectId: process.env.REACT_APP_FIREBASE_PROJECT_ID,
-  storageBucket: process.env.REACT_APP_FIREBASE_STORAGE_BUCKET,
-  messagingSenderId: process.env.REACT_APP_FIREBASE_MESSAGING_SENDER_ID,
-  appId: process.env.REACT_APP_FIREBASE_APP_ID
-};
+const { translateSubjectName, normalizeDate, getTaskDate } = require('./task-processor');
+const { DAY_NAMES, getTodayIsoDate } = require('./dateUtils');
+const { getDb } = require('./firebase');
+const { DEFAULT_SUBJECT_ALIASES, getAliasId } = require('./subject-aliases');
+const outbox = require('./outbox');
+
+// student_id written by single-student versions of the scraper
+const LEGACY_STUDENT_ID = 1;
 
-// Initialize Firebase
-const app = initializeApp(firebaseConfig);
-const db = getFirestore(app);
+// Firestore rejects batches of more than 500 writes
+const MAX_BATCH_WRITES = 450;
 
-// Helper function to load existing data from Firestore
+// Load the students and tasks already in Firestore.
+// A failed read throws: syncing against an empty list would treat every
+// Wilma item as new and could overwrite what the app has recorded.
 async function loadExistingData() {
-  try {
-    // Default data structure
-    let data = { students: [{ id: 1, name: 'Nuno'}], tasks: [] };
-    
+  const studentsSnapshot = await getDb().collection('students').get();
+  // Student ids are Wilma student numbers, kept as strings (leading zeros matter)
+  const students = studentsSnapshot.docs.map(doc => ({
+    id: doc.id,
+    ...doc.data()
+  }));
+
+  const tasksSnapshot = await getDb().collection('tasks').get();
+  const tasks = tasksSnapshot.docs.map(doc => ({
+    id: doc.id,
+    ...doc.data()
+  }));
+
+  console.log(`Loaded ${students.length} students and ${tasks.length} tasks from Firestore`);
+  return { students, tasks };
+}
+
+// Build the Firestore document for a processed task.
+// Only fields owned by Wilma are included; completion state belongs to the app.
+function buildTaskData(task) {
+  const taskData = {
+    due_date: normalizeDate(task.due_date) || '',
+    date_added: normalizeDate(task.date_added) || '',
+    description: task.description || '',
+    subject: translateSubjectName(task.subject) || 'Unknown',
+    type: task.type || 'homework',
+    student_id: String(task.student_id),
+    wilma_id: task.wilma_id ?? null
+  };
+
+  // Where the due date came from (see DUE_DATE_SOURCE in task-processor.js)
+  if (task.due_date_source) {
+    taskData.due_date_source = task.due_date_source;
+  }
+  if (task.due_date_phrase) {
+    taskData.due_date_phrase = task.due_date_phrase;
+  }
+
+  // Sub-steps split out of the homework text (see homework-parts.js)
+  if (task.parts) {
+    taskData.parts = task.parts;
+  }
+
+  // Add topic field if it exists (for exams)
+  if (task.topic) {
+    taskData.topic = task.topic;
+  }
+
+  return taskData;
+}
+
+// Write a list of items through batched writes.
+// Each item is `{ id, writes }`, where writes are `{ path, data, options }` for
+// a set, `{ path, update }` for an update or `{ path, remove: true }` for a
+// delete; an item's writes always land in the same batch. Items are packed
+// into batches under the Firestore limit. When a batch is rejected, its items
+// are retried one batch each, so a single bad item cannot sink the others.
+// Returns the items written and `{ item, error }` for the items that failed.
+async function writeItems(items) {
+  const chunks = [];
+  let chunk = [];
+  let chunkWrites = 0;
+  for (const item of items) {
+    if (chunk.length > 0 && chunkWrites + item.writes.length > MAX_BATCH_WRITES) {
+      chunks.push(chunk);
+      chunk = [];
+      chunkWrites = 0;
+    }
+    chunk.push(item);
+    chunkWrites += item.writes.length;
+  }
+  if (chunk.length > 0) chunks.push(chunk);
+
+  const commit = async (batchItems) => {
+    const batch = getDb().batch();
+    for (const { writes } of batchItems) {
+      for (const write of writes) {
+        const ref = getDb().doc(write.path);
+        if (write.remove) {
+          batch.delete(ref);
+        } else if (write.update) {
+          batch.update(ref, write.update);
+        } else {
+          batch.set(ref, write.data, write.options || {});
+        }
+      }
+    }
+    await batch.commit();
+  };
+
+  const written = [];
+  const failed = [];
+  for (const batchItems of chunks) {
     try {
-      // Get students
-      const studentsSnapshot = await getDocs(collection(db, 'students'));
-      if (!studentsSnapshot.empty) {
-        data.students = studentsSnapshot.docs.map(doc => ({
-          id: parseInt(doc.id, 10) || doc.id,
-          ...doc.data()
-        }));
+      await commit(batchItems);
+      written.push(...batchItems);
+      continue;
+    } catch (error) {
+      if (batchItems.length === 1) {
+        failed.push({ item: batchItems[0], error });
+        continue;
       }
-      
-      // Get tasks
-      const tasksSnapshot = await getDocs(collection(db, 'tasks'));
-      if (!tasksSnapshot.empty) {
-        data.tasks = tasksSnapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }));
+      console.error(`Batch of ${batchItems.length} writes failed, retrying one by one:`, error.message);
+    }
+
+    for (const item of batchItems) {
+      try {
+        await commit([item]);
+        written.push(item);
+      } catch (error) {
+        failed.push({ item, error });
       }
-      
-      console.log(`Loaded ${data.students.length} students and ${data.tasks.length} tasks from Firestore`);
-    } catch (firestoreError) {
-      console.error('Firestore connection error. Using default data:', firestoreError);
-      // Continue with default data structure already defined
     }
-    
-    return data;
+  }
+
+  return { written, failed };
+}
+
+// Outbox key of an item written by a sync step ("add", "revision", ...)
+function getOutboxKey(step, id) {
+  return `${step}:${id}`;
+}
+
+// Write items through writeItems and keep the outbox in step with the result:
+// failed items are journaled for the next run to replay, and journaled items
+// that have now been written are dropped so an old version is never replayed
+// over them. Returns the IDs written and `{ id, error }` for the failures.
+async function commitInBatches(items, step) {
+  const { written, failed } = await writeItems(items);
+
+  try {
+    outbox.removeFromOutbox(written.map(item => getOutboxKey(step, item.id)));
+    outbox.appendToOutbox(failed.map(({ item, error }) => ({
+      key: getOutboxKey(step, item.id),
+      step,
+      id: item.id,
+      writes: item.writes,
+      failed_at: new Date().toISOString(),
+      attempts: 1,
+      error: error.message
+    })));
   } catch (error) {
-    console.error('Error reading existing data from Firestore:', error);
-    return { students: [{ id: 1, name: 'Nuno'}], tasks: [] };
+    console.error('Could not update the outbox journal:', error.message);
   }
+
+  return {
+    written: written.map(item => item.id),
+    failed: failed.map(({ item, error }) => ({ id: item.id, error }))
+  };
 }
 
-// Function to save data to Firestore
+// Write the journaled items left over from earlier runs. Items that fail
+// again stay in the outbox with their attempt count raised.
+// Returns the number replayed and the number still pending.
+async function replayOutbox() {
+  const entries = outbox.loadOutbox();
+  if (entries.length === 0) return { replayed: 0, pending: 0 };
+
+  console.log(`Replaying ${entries.length} write(s) from the outbox`);
+  const { written, failed } = await writeItems(entries);
+
+  const pending = failed.map(({ item, error }) => ({
+    ...item,
+    attempts: (item.attempts || 1) + 1,
+    error: error.message
+  }));
+  outbox.saveOutbox(pending);
+
+  for (const entry of written) {
+    console.log(`Replayed ${entry.step} of task ${entry.id}`);
+  }
+  for (const entry of pending) {
+    console.error(`Outbox ${entry.step} of task ${entry.id} failed again (attempt ${entry.attempts}): ${entry.error}`);
+  }
+
+  return { replayed: written.length, pending: pending.length };
+}
+
+// Function to save new tasks to Firestore.
+// Each task is written to its deterministic ID, so rerunning a sync rewrites
+// the same documents instead of adding duplicates. Only Wilma-owned fields
+// are merged in: completion state (completed, completedDate, status,
+// parts_done) belongs to the app and is never reset by a sync or a replay.
+// A task carrying `migrated_from` inherits that document's completion
+// state, and the old document is deleted in the same batch as the new one
+// is written.
+// Returns the number of tasks written and the ones that failed.
 async function saveNewTasks(tasks) {
-  try {
-    let successCount = 0;
-    
-    for (const task of tasks) {
-      // Translate subject name for consistency
-      let normalizedSubject = translateSubjectName(task.subject);
-      
-      // Ensure due_date is in correct format if it exists
-      let normalizedDueDate = normalizeDate(task.due_date);
-
-      // Ensure date_added is in correct format if it exists
-      let normalizedDateAdded = normalizeDate(task.date_added);
-      
-      try {
-        // Prepare data with sanitized values
-        const taskData = {
-          due_date: normalizedDueDate || '',
-          date_added: normalizedDateAdded || '',
-          description: task.description || '',
-          subject: normalizedSubject || 'Unknown',
-          type: task.type || 'homework',
-          status: task.status || 'open',
-          student_id: Number(task.student_id) || 1,
-          completed: Boolean(task.completed) || false
-        };
-        
-        // Add topic field if it exists (for exams)
-        if (task.topic) {
-          taskData.topic = task.topic;
-        }
-        
-        // Check if similar task already exists
-        const q = query(
-          collection(db, 'tasks'), 
-          where('subject', '==', taskData.subject),
-          where('description', '==', taskData.description)
-        );
-        
-        const querySnapshot = await getDocs(q);
-        
-        if (querySnapshot.empty) {
-          // Task doesn't exist yet, add it
-          const docRef = await addDoc(collection(db, 'tasks'), taskData);
-          console.log(`Added new ${task.type} task with ID: ${docRef.id}`);
-          successCount++;
-        } else {
-          console.log(`Task already exists in Firestore, skipping: ${task.description?.substring(0, 30)}...`);
-        }
-      } catch (error) {
-        console.error('Error adding specific task to Firestore:', error);
-        console.error('Problematic task data:', { 
-          due_date: normalizedDueDate, 
-          subject: normalizedSubject,
-          topic: task.topic,
-          description: task.description?.substring(0, 50) || 'undefined'
-        });
+  const items = tasks.map(task => {
+    const taskData = buildTaskData(task);
+    if (task.migrated_from) {
+      taskData.status = task.status || 'open';
+      taskData.completed = Boolean(task.completed);
+      if (task.completedDate) {
+        taskData.completedDate = task.completedDate;
       }
     }
-    
-    console.log(`Data saved successfully to Firestore. Added ${successCount} new tasks.`);
-    return successCount;
-  } catch (error) {
-    console.error('Error saving data to Firestore:', error);
-    // Fallback to local JSON file if Firestore fails
-    try {
-      const DATA_FILE = path.join(DATA_DIR, 'tasks.json');
-      fs.writeFileSync(DATA_FILE, JSON.stringify({ tasks }, null, 2), 'utf8');
-      console.log('Data saved to local JSON file as fallback');
-      return 0;
-    } catch (fallbackError) {
-      console.error('Error saving fallback data to JSON:', fallbackError);
-      return 0;
+
+    const writes = [{ path: `tasks/${task.id}`, data: taskData, options: { merge: true } }];
+    if (task.migrated_from) {
+      writes.push({ path: `tasks/${task.migrated_from}`, remove: true });
+    }
+    return { id: task.id, writes };
+  });
+
+  const { written, failed } = await commitInBatches(items, 'add');
+
+  const tasksById = new Map(tasks.map(task => [task.id, task]));
+  for (const id of written) {
+    const task = tasksById.get(id);
+    if (task.migrated_from) {
+      console.log(`Moved task ${task.migrated_from} to stable ID ${task.id}`);
+    } else {
+      console.log(`Added new ${task.type} task with ID: ${task.id}`);
+    }
+  }
+
+  for (const { id, error } of failed) {
+    const task = tasksById.get(id);
+    console.error(`Error adding task ${id} to Firestore:`, error.message);
+    console.error('Problematic task data:', {
+      id: task.id,
+      due_date: task.due_date,
+      subject: task.subject,
+      topic: task.topic,
+      description: task.description?.substring(0, 50) || 'undefined'
+    });
+  }
+
+  console.log(`Wrote ${written.length} tasks to Firestore${failed.length > 0 ? `, ${failed.length} failed` : ''}.`);
+  return { savedCount: written.length, failed };
+}
+
+// Find a document written before stable task IDs that describes the same item.
+// Those documents have random IDs and no wilma_id field; older ones also carry
+// the single-student placeholder id instead of the real student number.
+// Tasks added in the app have no wilma_id either, but are never Wilma items.
+function findLegacyTask(existingTasks, newTask, claimedIds) {
+  return existingTasks.find(existingTask =>
+    !('wilma_id' in existingTask) &&
+    existingTask.source !== 'app' &&
+    !claimedIds.has(existingTask.id) &&
+    (existingTask.student_id === newTask.student_id ||
+     existingTask.student_id === LEGACY_STUDENT_ID) &&
+    existingTask.subject === newTask.subject &&
+    existingTask.description === newTask.description &&
+    existingTask.type === newTask.type
+  );
+}
+
+// Fields a teacher can change on a Wilma item. Homework due dates are left out
+// because they are derived from the description and timetable, not entered
+// by the teacher; they are only re-derived along with an edited description.
+const REVISION_FIELDS = {
+  homework: ['description', 'date_added'],
+  exam: ['description', 'topic', 'due_date']
+};
+
+// Homework fields that follow from the description
+const DESCRIPTION_DERIVED_FIELDS = ['due_date', 'due_date_source', 'due_date_phrase', 'parts'];
+
+// Compare a previously synced task with its freshly processed version.
+// Returns a map of changed fields to their before/after values, or null.
+function diffTask(existingTask, newTask) {
+  const taskData = buildTaskData(newTask);
+  const fields = REVISION_FIELDS[taskData.type] || REVISION_FIELDS.homework;
+  const changes = {};
+
+  for (const field of fields) {
+    const before = existingTask[field] ?? '';
+    const after = taskData[field] ?? '';
+    if (before !== after) {
+      changes[field] = { before, after };
+    }
+  }
+
+  // A reworded homework may carry a new deadline ("palautus pe 14.3.") or steps
+  if (taskData.type === 'homework' && changes.description) {
+    for (const field of DESCRIPTION_DERIVED_FIELDS) {
+      const before = existingTask[field] ?? '';
+      const after = taskData[field] ?? '';
+      if (JSON.stringify(before) !== JSON.stringify(after)) {
+        changes[field] = { before, after };
+      }
+    }
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+// Find synced tasks that no longer appear in /overview.
+// Wilma only lists recent homework and upcoming exams, so a task only counts
+// as withdrawn while it is still inside the window the overview covers:
+// exams that are not yet past, and homework no older than the oldest
+// homework still listed for the same student and subject. With `since`, the
+// fresh list only holds tasks filed on or after that date, so older tasks
+// are not checked at all.
+function findWithdrawnTasks(existingTasks, newTasks, since = null) {
+  const seenIds = new Set(newTasks.map(task => task.id));
+  const today = getTodayIsoDate();
+
+  const homeworkWindow = new Map();
+  for (const task of newTasks) {
+    if (task.type !== 'homework' || !task.date_added) continue;
+    const key = `${task.student_id}|${task.subject}`;
+    if (!homeworkWindow.has(key) || task.date_added < homeworkWindow.get(key)) {
+      homeworkWindow.set(key, task.date_added);
+    }
+  }
+  const syncedStudents = new Set(newTasks.map(task => task.student_id));
+
+  return existingTasks.filter(task => {
+    // Only tasks written by a stable-ID sync map back to a Wilma item
+    if (!('wilma_id' in task) || task.withdrawn || seenIds.has(task.id)) return false;
+    // Tasks promoted from Wilma messages or added in the app never appear in /overview
+    if (task.source_message_id || task.source === 'app') return false;
+    if (!syncedStudents.has(task.student_id)) return false;
+    if (since && (getTaskDate(task) || '') < since) return false;
+
+    if (task.type === 'exam') {
+      return Boolean(task.due_date) && task.due_date >= today;
+    }
+
+    const windowStart = homeworkWindow.get(`${task.student_id}|${task.subject}`);
+    return Boolean(windowStart) && Boolean(task.date_added) && task.date_added >= windowStart;
+  });
+}
+
+// Path for a new entry in tasks/{id}/revisions. The ID is picked up front,
+// so a replayed write from the outbox lands on the same document.
+function getNewRevisionPath(taskId) {
+  return getDb().collection(`tasks/${taskId}/revisions`).doc().path;
+}
+
+// Write detected teacher edits: update the task, keep the latest change on the
+// task itself for the app, and append the full history to tasks/{id}/revisions.
+async function saveTaskRevisions(revisions) {
+  const detectedAt = new Date().toISOString();
+  const items = revisions.map(({ task, changes }) => {
+    const updatedFields = {};
+    for (const [field, { after }] of Object.entries(changes)) {
+      updatedFields[field] = after;
+    }
+
+    return {
+      id: task.id,
+      writes: [
+        {
+          path: `tasks/${task.id}`,
+          update: {
+            ...updatedFields,
+            ...(task.withdrawn ? { withdrawn: false, withdrawn_at: null } : {}),
+            last_revision: { detected_at: detectedAt, changes }
+          }
+        },
+        { path: getNewRevisionPath(task.id), data: { detected_at: detectedAt, changes } }
+      ]
+    };
+  });
+
+  const { written, failed } = await commitInBatches(items, 'revision');
+
+  const changesById = new Map(revisions.map(({ task, changes }) => [task.id, changes]));
+  for (const id of written) {
+    console.log(`Task ${id} was edited in Wilma: ${Object.keys(changesById.get(id)).join(', ')}`);
+  }
+  for (const { id, error } of failed) {
+    console.error(`Error saving revision for task ${id}:`, error.message);
+  }
+
+  return { savedCount: written.length, failed };
+}
+
+// Flag tasks that were removed from Wilma (or restore ones that came back)
+async function saveWithdrawals(tasks, withdrawn) {
+  const detectedAt = new Date().toISOString();
+  const items = tasks.map(task => ({
+    id: task.id,
+    writes: [
+      {
+        path: `tasks/${task.id}`,
+        update: { withdrawn, withdrawn_at: withdrawn ? detectedAt : null }
+      },
+      { path: getNewRevisionPath(task.id), data: { detected_at: detectedAt, withdrawn } }
+    ]
+  }));
+
+  const { written, failed } = await commitInBatches(items, withdrawn ? 'withdraw' : 'reappear');
+
+  for (const id of written) {
+    console.log(`Task ${id} ${withdrawn ? 'was withdrawn from' : 'reappeared in'} Wilma`);
+  }
+  for (const { id, error } of failed) {
+    console.error(`Error updating withdrawn state of task ${id}:`, error.message);
+  }
+
+  return { savedCount: written.length, failed };
+}
+
+// Work out what a sync would change without writing anything.
+// Returns the tasks to add (including migrations of pre-stable-ID copies),
+// teacher edits, tasks withdrawn from Wilma, withdrawn tasks that came back
+// and tasks whose subject changed because a course name was (re)mapped.
+// `since` is the --since date the new tasks were filtered with, if any.
+function planTaskSync(newTasks, existingTasks, { since = null } = {}) {
+  const existingById = new Map(existingTasks.map(task => [task.id, task]));
+  const claimedIds = new Set();
+  
+  // Tasks are matched one-to-one by their stable ID
+  const toAdd = [];
+  const revisions = [];
+  const reappeared = [];
+  const relabeled = [];
+  for (const newTask of newTasks) {
+    const existingTask = existingById.get(newTask.id);
+    if (existingTask) {
+      const subject = buildTaskData(newTask).subject;
+      if (existingTask.subject !== subject) {
+        relabeled.push({ task: existingTask, subject });
+      }
+
+      const changes = diffTask(existingTask, newTask);
+      if (changes) {
+        revisions.push({ task: existingTask, changes });
+      } else if (existingTask.withdrawn) {
+        reappeared.push(existingTask);
+      }
+      continue;
+    }
+
+    // Carry over completion state from a pre-stable-ID copy of the same item
+    const legacyTask = findLegacyTask(existingTasks, newTask, claimedIds);
+    if (legacyTask) {
+      claimedIds.add(legacyTask.id);
+      toAdd.push({
+        ...newTask,
+        status: legacyTask.status || newTask.status,
+        completed: Boolean(legacyTask.completed),
+        completedDate: legacyTask.completedDate || null,
+        migrated_from: legacyTask.id
+      });
+      continue;
     }
+
+    toAdd.push(newTask);
   }
+
+  return {
+    toAdd,
+    revisions,
+    reappeared,
+    relabeled,
+    withdrawn: findWithdrawnTasks(existingTasks, newTasks, since)
+  };
 }
 
-// Function to sync the processed tasks with existing Firestore data
-async function syncTasks(newTasks) {
+// Move tasks to the subject their course name now maps to.
+// This follows a mapping change rather than a teacher edit, so no revision is recorded.
+async function saveRelabels(relabeled) {
+  const items = relabeled.map(({ task, subject }) => ({
+    id: task.id,
+    writes: [{ path: `tasks/${task.id}`, update: { subject } }]
+  }));
+
+  const { written, failed } = await commitInBatches(items, 'relabel');
+
+  const relabelById = new Map(relabeled.map(relabel => [relabel.task.id, relabel]));
+  for (const id of written) {
+    const { task, subject } = relabelById.get(id);
+    console.log(`Task ${id} moved from ${task.subject} to ${subject}`);
+  }
+  for (const { id, error } of failed) {
+    console.error(`Error updating subject of task ${id}:`, error.message);
+  }
+
+  return { savedCount: written.length, failed };
+}
+
+// Function to sync the processed tasks with existing Firestore data.
+// The existing tasks are loaded once and compared in memory; every change is
+// then written through batched writes. Returns counts of added, updated
+// (edited in Wilma) and withdrawn tasks, plus `failed`: the tasks whose
+// writes were rejected, as `{ id, step, error }`. Pass the --since date as
+// `since` when the new tasks were filtered with it.
+async function syncTasks(newTasks, { since = null } = {}) {
   try {
     console.log(`Preparing to sync ${newTasks.length} tasks with Firestore`);
     
     // Load existing data
     const existingData = await loadExistingData();
-    let newTasksFound = 0;
-    
-    // Filter out tasks that already exist in the database
-    const tasksToAdd = newTasks.filter(newTask => {
-      const exists = existingData.tasks.some(existingTask => 
-        existingTask.due_date === newTask.due_date && 
-        existingTask.subject === newTask.subject && 
-        ((existingTask.topic === newTask.topic && newTask.topic) || 
-         (existingTask.description === newTask.description && newTask.description)) && 
-        existingTask.type === newTask.type && 
-        existingTask.student_id === newTask.student_id
-      );
-      
-      return !exists;
-    });
+    const { toAdd, revisions, reappeared, relabeled, withdrawn } = planTaskSync(newTasks, existingData.tasks, { since });
+    const migratedCount = toAdd.filter(task => task.migrated_from).length;
     
-    console.log(`Found ${tasksToAdd.length} new tasks to add out of ${newTasks.length} total tasks`);
-    
-    // Save the new tasks
-    if (tasksToAdd.length > 0) {
-      newTasksFound = await saveNewTasks(tasksToAdd);
-    } else {
-      console.log('No new tasks to add.');
+    console.log(`Found ${toAdd.length} new tasks to add out of ${newTasks.length} total tasks`);
+    if (migratedCount > 0) {
+      console.log(`${migratedCount} of them replace tasks saved before stable IDs`);
     }
     
+    // Save the new tasks, then record teacher edits and withdrawals
+    const added = await saveNewTasks(toAdd);
+    const updated = await saveTaskRevisions(revisions);
+    const withdrawnResult = await saveWithdrawals(withdrawn, true);
+    const reappearedResult = await saveWithdrawals(reappeared, false);
+    const relabeledResult = await saveRelabels(relabeled);
+
+    const failed = [
+      ...added.failed.map(failure => ({ ...failure, step: 'add' })),
+      ...updated.failed.map(failure => ({ ...failure, step: 'revision' })),
+      ...withdrawnResult.failed.map(failure => ({ ...failure, step: 'withdraw' })),
+      ...reappearedResult.failed.map(failure => ({ ...failure, step: 'reappear' })),
+      ...relabeledResult.failed.map(failure => ({ ...failure, step: 'relabel' }))
+    ];
+    
     // Print summary statistics
     console.log(`\n===== SYNC SUMMARY =====`);
-    console.log(`Found ${newTasksFound} new tasks in total`);
-    console.log('Sync completed successfully');
+    console.log(`Found ${added.savedCount} new tasks in total`);
+    console.log(`Updated ${updated.savedCount} tasks edited in Wilma`);
+    console.log(`Marked ${withdrawnResult.savedCount} tasks as withdrawn`);
+    console.log(`Moved ${relabeledResult.savedCount} tasks to a newly mapped subject`);
+    if (failed.length > 0) {
+      console.log(`Failed to write ${failed.length} task changes`);
+    }
+    console.log('Sync completed');
     
-    return newTasksFound;
+    return {
+      added: added.savedCount,
+      updated: updated.savedCount,
+      withdrawn: withdrawnResult.savedCount,
+      failed
+    };
   } catch (error) {
     console.error('Sync error:', error);
     throw error;
   }
 }
 
+// Document ID of a subject under students/{id}/subjects ("Visual Arts" -> "visual-arts")
+function getSubjectId(name) {
+  return name.toLowerCase().replace(/\s+/g, '-');
+}
+
+// Function to write a student's Wilma timetable to students/{id}/subjects.
+// Siblings have different timetables, so each student gets their own copy;
+// existing subject documents are merged so their colors are preserved.
+async function syncSubjects(timetable, studentId) {
+  const entries = Object.entries(timetable || {});
+  if (entries.length === 0) {
+    console.log('No timetable found in overview, leaving subjects unchanged');
+    return 0;
+  }
+
+  const subjectsRef = getDb().collection(`students/${studentId}/subjects`);
+  const subjectsSnapshot = await subjectsRef.get();
+  const existingIds = new Set(subjectsSnapshot.docs.map(subjectDoc => subjectDoc.id));
+
+  // New subjects take their color from the shared subjects catalog
+  const catalogSnapshot = await getDb().collection('subjects').get();
+  const catalogColors = new Map(
+    catalogSnapshot.docs.map(subjectDoc => [subjectDoc.id, subjectDoc.data().color])
+  );
+
+  const now = new Date().toISOString();
+  let updatedCount = 0;
+
+  for (const [name, lessons] of entries) {
+    const id = getSubjectId(name);
+
+    // Weekday flags used by the app for today/tomorrow subjects
+    const schedule = { monday: false, tuesday: false, wednesday: false, thursday: false, friday: false };
+    for (const lesson of lessons) {
+      schedule[DAY_NAMES[lesson.weekday]] = true;
+    }
+
+    const subjectData = {
+      name,
+      student_id: String(studentId),
+      schedule,
+      lessons: lessons.map(lesson => ({
+        day: DAY_NAMES[lesson.weekday],
+        start: lesson.start,
+        end: lesson.end
+      })),
+      updatedAt: now
+    };
+
+    if (!existingIds.has(id)) {
+      subjectData.color = catalogColors.get(id) || 'var(--subject-other)';
+      subjectData.createdAt = now;
+    }
+
+    try {
+      await subjectsRef.doc(id).set(subjectData, { merge: true });
+      updatedCount++;
+    } catch (error) {
+      console.error(`Error saving timetable for subject ${name}:`, error);
+    }
+  }
+
+  console.log(`Saved timetable for ${updatedCount} subjects of student ${studentId}`);
+  return updatedCount;
+}
+
+// Function to store graded exams in the grades collection.
+// Grades are keyed by their stable ID, so rerunning the sync only rewrites them.
+async function syncGrades(grades) {
+  if (grades.length === 0) return 0;
+
+  const gradesSnapshot = await getDb().collection('grades').get();
+  const existingIds = new Set(gradesSnapshot.docs.map(gradeDoc => gradeDoc.id));
+  const now = new Date().toISOString();
+  let newCount = 0;
+
+  for (const grade of grades) {
+    const { id, ...gradeData } = grade;
+    const isNew = !existingIds.has(id);
+    if (isNew) {
+      gradeData.recorded_at = now;
+    }
+
+    try {
+      await getDb().collection('grades').doc(id).set(gradeData, { merge: true });
+      if (isNew) {
+        newCount++;
+        console.log(`New grade for ${grade.subject} exam on ${grade.date}: ${grade.grade}`);
+      }
+    } catch (error) {
+      console.error(`Error saving grade ${id}:`, error);
+    }
+  }
+
+  console.log(`Saved ${grades.length} grades (${newCount} new)`);
+  return newCount;
+}
+
+// Function to store lesson diary entries under the subject they belong to:
+// students/{studentId}/subjects/{subjectId}/lessons/{lessonId}.
+// The app looks them up by date to show what a homework's lesson covered.
+async function syncLessons(lessons) {
+  if (lessons.length === 0) return 0;
+
+  let savedCount = 0;
+  for (const lesson of lessons) {
+    const { id, ...lessonData } = lesson;
+    const lessonRef = getDb()
+      .collection(`students/${lesson.student_id}/subjects/${getSubjectId(lesson.subject)}/lessons`)
+      .doc(id);
+
+    try {
+      await lessonRef.set(lessonData, { merge: true });
+      savedCount++;
+    } catch (error) {
+      console.error(`Error saving lesson ${id}:`, error);
+    }
+  }
+
+  console.log(`Saved ${savedCount} lesson diary entries`);
+  return savedCount;
+}
+
+// Function to store attendance marks in the attendance collection.
+// Marks are keyed by their stable ID, so a mark that is later clarified
+// (e.g. an absence explained by a guardian) is updated in place.
+async function syncAttendance(records) {
+  if (records.length === 0) return 0;
+
+  const attendanceSnapshot = await getDb().collection('attendance').get();
+  const existingIds = new Set(attendanceSnapshot.docs.map(recordDoc => recordDoc.id));
+  let newCount = 0;
+
+  for (const record of records) {
+    const { id, ...recordData } = record;
+    try {
+      await getDb().collection('attendance').doc(id).set(recordData, { merge: true });
+      if (!existingIds.has(id)) {
+        newCount++;
+        console.log(`New ${record.kind} mark in ${record.subject} on ${record.date}`);
+      }
+    } catch (error) {
+      console.error(`Error saving attendance mark ${id}:`, error);
+    }
+  }
+
+  console.log(`Saved ${records.length} attendance marks (${newCount} new)`);
+  return newCount;
+}
+
+// Open an entry in the scraperRuns audit log and return its ID.
+// The audit log must never stop a sync, so failures only log and return null.
+async function startScraperRun(run) {
+  try {
+    const runRef = await getDb().collection('scraperRuns').add({
+      ...run,
+      status: 'running',
+      started_at: new Date().toISOString()
+    });
+    return runRef.id;
+  } catch (error) {
+    console.error('Could not record scraper run start:', error.message);
+    return null;
+  }
+}
+
+// Close an audit log entry with its outcome ('success' or 'failed'), counts,
+// errors and Wilma request statistics
+async function finishScraperRun(runId, { startedAt, ...outcome }) {
+  if (!runId) return;
+
+  const finishedAt = new Date();
+  try {
+    await getDb().collection('scraperRuns').doc(runId).update({
+      ...outcome,
+      finished_at: finishedAt.toISOString(),
+      duration_ms: startedAt ? finishedAt.getTime() - startedAt.getTime() : null
+    });
+  } catch (error) {
+    console.error('Could not record scraper run result:', error.message);
+  }
+}
+
+// Load the course name to subject mapping from the subjectAliases collection.
+// Entries still waiting for review have no subject and are skipped by the
+// registry. Returns an empty list when the collection has not been seeded.
+async function loadSubjectAliases() {
+  const aliasesSnapshot = await getDb().collection('subjectAliases').get();
+  return aliasesSnapshot.docs.map(aliasDoc => ({ id: aliasDoc.id, ...aliasDoc.data() }));
+}
+
+// Write the built-in aliases to an empty subjectAliases collection
+async function seedSubjectAliases() {
+  const aliasesSnapshot = await getDb().collection('subjectAliases').get();
+  if (!aliasesSnapshot.empty) return 0;
+
+  const now = new Date().toISOString();
+  for (const alias of DEFAULT_SUBJECT_ALIASES) {
+    const id = alias.match === 'pattern'
+      ? `pattern-${alias.subject.toLowerCase()}`
+      : getAliasId(alias.value);
+    await getDb().collection('subjectAliases').doc(id).set({
+      ...alias,
+      status: 'assigned',
+      createdAt: now
+    });
+  }
+
+  console.log(`Seeded ${DEFAULT_SUBJECT_ALIASES.length} subject aliases`);
+  return DEFAULT_SUBJECT_ALIASES.length;
+}
+
+// Add course names that matched no alias to the review queue in the app.
+// Names already queued or assigned are left alone.
+async function queueUnmappedSubjects(courseNames) {
+  let queuedCount = 0;
+
+  for (const courseName of courseNames) {
+    const aliasRef = getDb().collection('subjectAliases').doc(getAliasId(courseName));
+    try {
+      const aliasDoc = await aliasRef.get();
+      if (aliasDoc.exists) continue;
+
+      await aliasRef.set({
+        match: 'exact',
+        value: courseName,
+        subject: null,
+        status: 'pending',
+        createdAt: new Date().toISOString()
+      });
+      queuedCount++;
+      console.log(`Queued unmapped course ${courseName} for review`);
+    } catch (error) {
+      console.error(`Error queueing course ${courseName}:`, error);
+    }
+  }
+
+  return queuedCount;
+}
+
+// Load the school calendar uploaded with `questboard-scraper calendar`.
+// Returns null when none has been set up, in which case only weekends
+// count as days without school.
+async function loadCalendar() {
+  const calendarDoc = await getDb().collection('calendar').doc('school').get();
+  return calendarDoc.exists ? calendarDoc.data() : null;
+}
+
+// Replace the school calendar document
+async function saveCalendar(calendar) {
+  await getDb().collection('calendar').doc('school').set({
+    ...calendar,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+// Load the IDs of messages already stored, mapped to whether their body is
+// stored too, so only new messages and ones whose body could not be fetched
+// before need a request to Wilma
+async function loadMessageIds() {
+  const messagesSnapshot = await getDb().collection('messages').get();
+  return new Map(messagesSnapshot.docs.map(messageDoc => [
+    messageDoc.id,
+    typeof messageDoc.data().body === 'string'
+  ]));
+}
+
+// Function to write Wilma messages to the messages collection.
+// Read state and promotion to a task belong to the app, so they are only
+// initialised when a message is first stored.
+async function syncMessages(messages, existingIds) {
+  const now = new Date().toISOString();
+  let newCount = 0;
+
+  for (const message of messages) {
+    const { id, ...messageData } = message;
+    const isNew = !existingIds.has(id);
+    if (isNew) {
+      messageData.read = false;
+      messageData.received_at = now;
+    }
+
+    try {
+      await getDb().collection('messages').doc(id).set(messageData, { merge: true });
+      if (isNew) {
+        newCount++;
+        console.log(`New message from ${message.sender}: ${message.subject}`);
+      }
+    } catch (error) {
+      console.error(`Error saving message ${id}:`, error);
+    }
+  }
+
+  console.log(`Saved ${messages.length} messages (${newCount} new)`);
+  return newCount;
+}
+
+// Function to register the students found on the Wilma account.
+// The display name is only set on creation so it can be edited in Firestore.
+async function syncStudents(students) {
+  const studentsSnapshot = await getDb().collection('students').get();
+  const existingIds = new Set(studentsSnapshot.docs.map(studentDoc => studentDoc.id));
+  const now = new Date().toISOString();
+
+  for (const student of students) {
+    const studentData = {
+      wilma_name: student.name,
+      updatedAt: now
+    };
+
+    if (!existingIds.has(student.id)) {
+      studentData.name = student.name || student.id;
+      studentData.createdAt = now;
+    }
+
+    await getDb().collection('students').doc(student.id).set(studentData, { merge: true });
+  }
+
+  console.log(`Registered ${students.length} students in Firestore`);
+}
+
 // Export the module functions
 module.exports = {
   loadExistingData,
   saveNewTasks,
-  syncTasks
+  planTaskSync,
+  syncTasks,
+  replayOutbox,
+  syncSubjects,
+  syncStudents,
+  syncGrades,
+  syncLessons,
+  syncAttendance,
+  loadMessageIds,
+  syncMessages,
+  loadCalendar,
+  saveCalendar,
+  startScraperRun,
+  finishScraperRun,
+  loadSubjectAliases,
+  seedSubjectAliases,
+  queueUnmappedSubjects
 };
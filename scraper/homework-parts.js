@@ -0,0 +1,108 @@
+// homework-parts.js - Split homework text into sub-steps
+//
+// "Kirja s. 45–47, tehtävät 3, 5a, 7 + vihko" becomes a page range, three
+// exercises and a notebook, which the app shows as separate checkboxes.
+// Part IDs are derived from their content, so ticks survive a reworded
+// description as long as the same pages or exercises are still listed.
+
+// Exercise ranges longer than this stay one step ("tehtävät 1–30")
+const MAX_EXPANDED_RANGE = 10;
+
+// A number with an optional section (2.14) or letter suffix (5a), or a range of them (1–4)
+const NUMBER = '\\d{1,3}(?:\\.\\d{1,3})?[a-zåäö]?';
+const ITEM = `${NUMBER}(?:\\s*[-–]\\s*${NUMBER})?`;
+const ITEM_LIST = `${ITEM}(?:\\s*(?:,|&|\\bja\\b|\\band\\b)\\s*${ITEM})*`;
+
+// "Kirja s. 45–47", "sivut 12-13", "page 62"
+const PAGES_PATTERN = new RegExp(
+  `(?:(\\p{L}+)\\s+)?(?:s\\.|sivut?|sivuilta|sivulta|pages?|p\\.)\\s*(${ITEM_LIST})`,
+  'giu'
+);
+
+// "tehtävät 3, 5a, 7", "teht. 1-4", "exercises 2 and 3"
+const EXERCISES_PATTERN = new RegExp(
+  `(?:tehtävät|tehtävä|tehtäviä|teht\\.|tht\\.?|exercises?|ex\\.)\\s*(${ITEM_LIST})`,
+  'giu'
+);
+
+// Things to bring or use, matched as whole words
+const MATERIALS = [
+  'vihko', 'ruutuvihko', 'kotivihko', 'sanakoevihko', 'moniste', 'monisteet',
+  'laskin', 'sanakirja', 'viivain', 'harppi', 'notebook', 'calculator'
+];
+const MATERIALS_PATTERN = new RegExp(`(?<!\\p{L})(${MATERIALS.join('|')})(?!\\p{L})`, 'giu');
+
+// Words in front of "s." that are not the name of a book
+const NOT_A_BOOK = new Set(['lue', 'luku', 'ja', 'and', 'read', 'on', 'the', 'from', 'kotitehtävä']);
+
+function splitItems(itemList) {
+  return itemList
+    .split(/\s*(?:,|&|\bja\b|\band\b)\s*/i)
+    .map(item => item.replace(/\s+/g, '').replace('–', '-').toLowerCase())
+    .filter(Boolean);
+}
+
+// "1-4" becomes 1, 2, 3, 4; ranges with letters or long ranges stay as they are
+function expandRange(item) {
+  const range = item.match(/^(\d+)-(\d+)$/);
+  if (!range) return [item];
+
+  const from = parseInt(range[1], 10);
+  const to = parseInt(range[2], 10);
+  if (to <= from || to - from >= MAX_EXPANDED_RANGE) return [item];
+
+  return Array.from({ length: to - from + 1 }, (_, index) => String(from + index));
+}
+
+/**
+ * Extract pages, exercises and materials from a homework description.
+ * Returns an empty list unless there are at least two steps, since a
+ * single step adds nothing to the description itself.
+ * @param {string} description - Homework text from Wilma
+ * @returns {Array<{id: string, type: string, label: string, book?: string}>}
+ *   Steps in reading order: `pages` (label "45-47"), `exercise` (label "5a")
+ *   or `material` (label "vihko")
+ */
+function extractHomeworkParts(description) {
+  if (!description) return [];
+
+  const found = [];
+
+  for (const match of description.matchAll(PAGES_PATTERN)) {
+    const book = match[1] && !NOT_A_BOOK.has(match[1].toLowerCase()) ? match[1] : null;
+    for (const pages of splitItems(match[2])) {
+      found.push({
+        index: match.index,
+        part: { id: `pages-${pages}`, type: 'pages', label: pages, ...(book ? { book } : {}) }
+      });
+    }
+  }
+
+  for (const match of description.matchAll(EXERCISES_PATTERN)) {
+    for (const exercise of splitItems(match[1]).flatMap(expandRange)) {
+      found.push({
+        index: match.index,
+        part: { id: `exercise-${exercise}`, type: 'exercise', label: exercise }
+      });
+    }
+  }
+
+  for (const match of description.matchAll(MATERIALS_PATTERN)) {
+    const material = match[1].toLowerCase();
+    found.push({
+      index: match.index,
+      part: { id: `material-${material}`, type: 'material', label: material }
+    });
+  }
+
+  // Keep the order of the text and drop repeats ("tehtävä 3 ... tehtävä 3")
+  const seenIds = new Set();
+  const parts = found
+    .sort((a, b) => a.index - b.index)
+    .map(({ part }) => part)
+    .filter(part => !seenIds.has(part.id) && seenIds.add(part.id));
+
+  return parts.length >= 2 ? parts : [];
+}
+
+module.exports = { extractHomeworkParts };
@@ -3,33 +3,292 @@ require('dotenv').config();
 const wilmaApi = require('./wilma-api');
 const taskProcessor = require('./task-processor');
 const firestoreSync = require('./firestore-sync');
+const subjectAliases = require('./subject-aliases');
+const outbox = require('./outbox');
 
-async function runScraper() {
-  console.log('Starting Wilma scraper...');
+// Messages older than this are not imported on the first run
+const MESSAGE_LOOKBACK_DAYS = 30;
 
+// Note a failure that was skipped so it ends up in the scraperRuns audit log
+function recordIssue(issues, step, studentId, error) {
+  issues.push({ step, student_id: String(studentId), type: error.name || 'Error', message: error.message });
+}
+
+// Build message documents for a student's inbox. Bodies are only fetched for
+// messages not stored yet, or stored without a body because fetching it
+// failed, since Wilma needs one request per message. `knownIds` maps stored
+// message IDs to whether their body is stored (see loadMessageIds).
+async function collectMessages(jar, studentId, knownIds, since, issues = []) {
+  const messages = [];
+
+  // Messages are secondary to homework: a broken inbox must not fail the run,
+  // but an auth failure means nothing else will work either
+  let entries;
+  try {
+    entries = await wilmaApi.fetchMessages(jar, studentId);
+  } catch (error) {
+    if (error instanceof wilmaApi.WilmaAuthError) throw error;
+    console.error(`Skipping messages: ${error.message}`);
+    recordIssue(issues, 'messages', studentId, error);
+    return messages;
+  }
+
+  for (const entry of entries) {
+    const message = taskProcessor.processMessage(entry, studentId);
+    if (knownIds.get(message.id)) {
+      messages.push(message);
+      continue;
+    }
+    if (!knownIds.has(message.id) && message.sent_at < since) continue;
+
+    try {
+      const detail = await wilmaApi.fetchMessage(jar, studentId, entry.Id);
+      messages.push(taskProcessor.processMessage(entry, studentId, detail));
+    } catch (error) {
+      if (error instanceof wilmaApi.WilmaAuthError) throw error;
+      console.error(`Could not fetch message ${entry.Id}:`, error.message);
+      recordIssue(issues, 'message', studentId, error);
+      messages.push(message);
+    }
+  }
+
+  return messages;
+}
+
+// Fetch the lesson diary of every course group in the overview.
+// Like messages, the diary is secondary: a group that fails is skipped.
+async function collectLessons(jar, studentId, overview, since, issues = []) {
+  const lessons = [];
+
+  for (const group of overview.Groups || []) {
+    if (group.Id == null) continue;
+
+    try {
+      const entries = await wilmaApi.fetchLessonDiary(jar, studentId, group.Id);
+      lessons.push(...taskProcessor.processLessonDiary(entries, group, studentId));
+    } catch (error) {
+      if (error instanceof wilmaApi.WilmaAuthError) throw error;
+      console.error(`Skipping lesson diary of ${group.CourseName || group.Id}: ${error.message}`);
+      recordIssue(issues, 'lessons', studentId, error);
+    }
+  }
+
+  return since ? lessons.filter(lesson => lesson.date >= since) : lessons;
+}
+
+// Fetch attendance marks; skipped on failure like the other secondary data
+async function collectAttendance(jar, studentId, overview, since, issues = []) {
+  let marks;
+  try {
+    marks = await wilmaApi.fetchAttendance(jar, studentId);
+  } catch (error) {
+    if (error instanceof wilmaApi.WilmaAuthError) throw error;
+    console.error(`Skipping attendance: ${error.message}`);
+    recordIssue(issues, 'attendance', studentId, error);
+    return [];
+  }
+
+  const records = taskProcessor.processAttendance(marks, overview, studentId);
+  return since ? records.filter(record => record.date >= since) : records;
+}
+
+/**
+ * Fetch and process Wilma data for the selected students without writing
+ * anything to Firestore.
+ * @param {Object} [options]
+ * @param {string[]} [options.studentIds] - Only these students (default: WILMA_STUDENT_NUMBER or all)
+ * @param {string} [options.since] - Skip tasks and new messages dated before this YYYY-MM-DD date
+ * @param {Array<Object>} [options.issues] - Collects failures that were skipped over
+ * @returns {Promise<Object>} Students, per-student timetables, tasks, grades, messages,
+ *   lesson diary entries, attendance marks and the course names no subject alias matched
+ */
+async function collectData({ studentIds, since, issues = [] } = {}) {
   // 1. Authenticate with Wilma API
   const jar = await wilmaApi.login();
 
-  // 2. Fetch overview (all groups, homework, exams in one call)
-  const overview = await wilmaApi.fetchOverview(jar);
+  // 2. Find the students on this account (one per child for parent accounts)
+  const students = studentIds && studentIds.length > 0
+    ? await wilmaApi.fetchStudents(jar, studentIds)
+    : await wilmaApi.fetchStudents(jar);
+
+  const messagesSince = since || new Date(Date.now() - MESSAGE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000)
+    .toISOString()
+    .split('T')[0];
+  const knownMessageIds = await firestoreSync.loadMessageIds();
+  const calendar = await firestoreSync.loadCalendar();
+  if (!calendar) {
+    console.log('No school calendar in Firestore; due dates only skip weekends');
+  }
+  // Course names are mapped with the aliases in Firestore, or the built-in
+  // ones until the collection has been seeded by a sync
+  const aliases = await firestoreSync.loadSubjectAliases();
+  subjectAliases.setSubjectAliases(
+    aliases.length > 0 ? aliases : subjectAliases.DEFAULT_SUBJECT_ALIASES
+  );
+
+  const timetables = new Map();
+  const tasks = [];
+  const grades = [];
+  const messages = [];
+  const lessons = [];
+  const attendance = [];
+  for (const student of students) {
+    console.log(`\n--- ${student.name} (${student.id}) ---`);
 
-  // 3. Process into task objects
-  const tasks = taskProcessor.processOverviewData(overview);
-  console.log(`Processed ${tasks.length} tasks`);
+    // 3. Fetch overview (all groups, homework, exams in one call)
+    const overview = await wilmaApi.fetchOverview(jar, student.id);
 
-  // 4. Sync with Firestore
-  const newCount = await firestoreSync.syncTasks(tasks);
-  console.log(`Done: ${newCount} new tasks added`);
+    // 4. Build the weekly timetable and process into task objects
+    const timetable = taskProcessor.processScheduleData(overview);
+    console.log(`Parsed timetable for ${Object.keys(timetable).length} subjects`);
+
+    let studentTasks = taskProcessor.processOverviewData(overview, student.id, timetable, calendar);
+    if (since) {
+      studentTasks = studentTasks.filter(task => (taskProcessor.getTaskDate(task) || '') >= since);
+    }
+    console.log(`Processed ${studentTasks.length} tasks`);
+
+    const studentGrades = taskProcessor.processGrades(overview, student.id);
+    console.log(`Found ${studentGrades.length} graded exams`);
+
+    const studentMessages = await collectMessages(jar, student.id, knownMessageIds, messagesSince, issues);
+    console.log(`Found ${studentMessages.length} messages`);
+
+    const studentLessons = await collectLessons(jar, student.id, overview, since, issues);
+    console.log(`Found ${studentLessons.length} lesson diary entries`);
+
+    const studentAttendance = await collectAttendance(jar, student.id, overview, since, issues);
+    console.log(`Found ${studentAttendance.length} attendance marks`);
+
+    timetables.set(student.id, timetable);
+    tasks.push(...studentTasks);
+    grades.push(...studentGrades);
+    messages.push(...studentMessages);
+    lessons.push(...studentLessons);
+    attendance.push(...studentAttendance);
+  }
+
+  const unmappedSubjects = subjectAliases.getUnmappedCourseNames();
+  if (unmappedSubjects.length > 0) {
+    console.log(`\n${unmappedSubjects.length} course name(s) have no subject alias: ${unmappedSubjects.join(', ')}`);
+  }
+
+  return {
+    students, timetables, tasks, grades, messages, lessons, attendance, knownMessageIds, unmappedSubjects
+  };
+}
+
+// Collect Wilma data and write it to Firestore. Returns the counts
+// recorded in the run's audit log entry.
+async function syncData(collectOptions) {
+  // Writes that failed in earlier runs go first, so newer data lands on top
+  const replay = await firestoreSync.replayOutbox();
+
+  const {
+    students, timetables, tasks, grades, messages, lessons, attendance, knownMessageIds, unmappedSubjects
+  } = await collectData(collectOptions);
+
+  // 5. Sync with Firestore
+  await firestoreSync.syncStudents(students);
+  await firestoreSync.seedSubjectAliases();
+  await firestoreSync.queueUnmappedSubjects(unmappedSubjects);
+  for (const [studentId, timetable] of timetables) {
+    await firestoreSync.syncSubjects(timetable, studentId);
+  }
+  const { added, updated, withdrawn, failed } = await firestoreSync.syncTasks(tasks, { since: collectOptions.since });
+  for (const { id, step, error } of failed) {
+    collectOptions.issues?.push({
+      step: `task-${step}`,
+      task_id: id,
+      type: error.name || 'Error',
+      message: error.message
+    });
+  }
+  const newGrades = await firestoreSync.syncGrades(grades);
+  const newMessages = await firestoreSync.syncMessages(messages, knownMessageIds);
+  await firestoreSync.syncLessons(lessons);
+  const newAttendance = await firestoreSync.syncAttendance(attendance);
+  console.log(`Done: ${added} new, ${updated} updated, ${withdrawn} withdrawn tasks, ${newGrades} new grades, ${newMessages} new messages`);
+
+  return {
+    students: students.length,
+    processed: tasks.length,
+    added,
+    updated,
+    withdrawn,
+    grades: newGrades,
+    messages: newMessages,
+    lessons: lessons.length,
+    attendance: newAttendance,
+    outbox_replayed: replay.replayed,
+    outbox_pending: outbox.loadOutbox().length
+  };
+}
+
+/**
+ * Run a full sync from Wilma to Firestore.
+ * Each run is recorded in the scraperRuns collection with its outcome,
+ * counts, skipped failures and Wilma request statistics, so the app can
+ * tell when the board was last brought up to date.
+ * With `dryRun`, nothing is written (not even the audit log) and the
+ * planned task changes are returned instead (see firestoreSync.planTaskSync).
+ * @param {Object} [options] - collectData options, plus `dryRun` and
+ *   `trigger` ("cli", "schedule" or "manual") for the audit log
+ * @returns {Promise<Object>} Counts of what was written, or `{ dryRun: true, plan }`
+ */
+async function runScraper({ dryRun = false, trigger = 'cli', ...collectOptions } = {}) {
+  console.log(`Starting Wilma scraper${dryRun ? ' (dry run)' : ''}...`);
+  wilmaApi.resetRequestStats();
+
+  if (dryRun) {
+    const { students, tasks, unmappedSubjects } = await collectData(collectOptions);
+    const existingData = await firestoreSync.loadExistingData();
+    return {
+      dryRun: true,
+      students: students.length,
+      processed: tasks.length,
+      unmappedSubjects,
+      plan: firestoreSync.planTaskSync(tasks, existingData.tasks, { since: collectOptions.since })
+    };
+  }
+
+  const startedAt = new Date();
+  const issues = [];
+  const runId = await firestoreSync.startScraperRun({
+    type: 'sync',
+    trigger,
+    student_ids: collectOptions.studentIds || null,
+    since: collectOptions.since || null
+  });
 
-  return { processed: tasks.length, added: newCount };
+  try {
+    const counts = await syncData({ ...collectOptions, issues });
+    await firestoreSync.finishScraperRun(runId, {
+      startedAt,
+      status: 'success',
+      counts,
+      errors: issues,
+      wilma: wilmaApi.getRequestStats()
+    });
+    return counts;
+  } catch (error) {
+    await firestoreSync.finishScraperRun(runId, {
+      startedAt,
+      status: 'failed',
+      errors: [...issues, { step: 'sync', type: error.name || 'Error', message: error.message }],
+      wilma: wilmaApi.getRequestStats()
+    });
+    throw error;
+  }
 }
 
 // Run directly when executed as a script
 if (require.main === module) {
   runScraper().catch(err => {
     console.error('Scraper failed:', err.message);
-    process.exit(1);
+    // Credentials need fixing by hand; anything else may succeed on the next run
+    process.exit(err instanceof wilmaApi.WilmaAuthError ? 2 : 1);
   });
 }
 
-module.exports = { runScraper };
\ No newline at end of file
+module.exports = { collectData, runScraper };
@@ -0,0 +1,136 @@
+// anonymise.js - Strip personal data from recorded Wilma responses
+//
+// Real responses contain names of students, guardians and teachers, student
+// numbers and contact details. Before they can be stored as fixtures every
+// name is replaced by a stable pseudonym ("Teacher 2"), student numbers by
+// fake ones, and contact fields are dropped. Homework and message text is
+// kept, with any known name inside it replaced, so parsers can still be
+// tested against realistic content.
+
+// Fields that only ever hold contact or identity details
+const DROPPED_FIELD = /e-?mail|phone|photo|address|formkey|ssn|primusid/i;
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+const PHONE_PATTERN = /(\+358|\b0)\d[\d -]{6,}\d/g;
+
+// First fake student number; real ones are seven digits too
+const FAKE_STUDENT_BASE = 1000001;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Anonymise a set of recorded responses consistently.
+ * @param {Map<string, Object>} responses - Wilma path (e.g. "/!0466066/overview") to parsed JSON
+ * @returns {Map<string, Object>} Anonymised path to anonymised JSON
+ */
+function anonymiseResponses(responses) {
+  const studentIds = new Map();
+  const pseudonyms = new Map();
+  const teacherCodes = new Map();
+  const counters = {};
+
+  function fakeStudentId(realId) {
+    if (!studentIds.has(realId)) {
+      studentIds.set(realId, String(FAKE_STUDENT_BASE + studentIds.size));
+    }
+    return studentIds.get(realId);
+  }
+
+  function pseudonym(realName, label) {
+    const name = String(realName || '').trim();
+    if (!name) return name;
+    if (!pseudonyms.has(name)) {
+      counters[label] = (counters[label] || 0) + 1;
+      pseudonyms.set(name, `${label} ${counters[label]}`);
+    }
+    return pseudonyms.get(name);
+  }
+
+  // Pass 1: learn every student number and person name
+  for (const [path, data] of responses) {
+    const pathMatch = /^\/!(\d+)\//.exec(path);
+    if (pathMatch) fakeStudentId(pathMatch[1]);
+
+    for (const role of data.Roles || []) {
+      const slugMatch = /!(\d+)/.exec(role.Slug || '');
+      if (slugMatch) fakeStudentId(slugMatch[1]);
+      pseudonym(role.Name, role.Type === 'student' ? 'Student' : 'Guardian');
+    }
+    // Overview groups and lesson diary entries list teachers the same way
+    for (const group of [...(data.Groups || []), ...(data.Diary || [])]) {
+      for (const teacher of group.Teachers || []) {
+        const fake = pseudonym(teacher.LongCaption, 'Teacher');
+        if (teacher.Caption && fake) {
+          teacherCodes.set(teacher.Caption, fake.replace('Teacher ', 'TEA'));
+        }
+      }
+    }
+    for (const message of [...(data.Messages || []), ...(data.messages || [])]) {
+      pseudonym(message.Sender, 'Sender');
+    }
+  }
+
+  // Replace full names first (longest first, so "Name (CODE)" wins over
+  // "Name"), then teacher codes, then name parts used on their own.
+  // Codes are short and upper case, so they are matched case-sensitively.
+  const wordPattern = (text, flags) =>
+    new RegExp(`(?<![\\wåäö])${escapeRegExp(text)}(?![\\wåäö])`, flags);
+  const namePatterns = [...pseudonyms]
+    .sort(([a], [b]) => b.length - a.length)
+    .map(([name, fake]) => [wordPattern(name, 'gi'), fake]);
+  for (const [code, fake] of teacherCodes) {
+    namePatterns.push([wordPattern(code, 'g'), fake]);
+  }
+  for (const [name, fake] of pseudonyms) {
+    for (const part of name.split(/[\s,()]+/)) {
+      if (part.length > 2 && !/^\d+$/.test(part)) namePatterns.push([wordPattern(part, 'gi'), fake]);
+    }
+  }
+
+  function scrubText(text) {
+    let result = text
+      .replace(EMAIL_PATTERN, 'user@example.com')
+      .replace(PHONE_PATTERN, '040 000 0000')
+      .replace(/!(\d+)/g, (match, id) => (studentIds.has(id) ? `!${studentIds.get(id)}` : match));
+    for (const [pattern, fake] of namePatterns) {
+      result = result.replace(pattern, fake);
+    }
+    return result;
+  }
+
+  // Pass 2: rewrite values
+  function scrub(value, parentKey) {
+    if (Array.isArray(value)) {
+      return value.map(item => scrub(item, parentKey));
+    }
+    if (value && typeof value === 'object') {
+      const result = {};
+      for (const [key, child] of Object.entries(value)) {
+        if (DROPPED_FIELD.test(key)) continue;
+        if (parentKey === 'Teachers' && key === 'Caption') {
+          result[key] = teacherCodes.get(child) || scrubText(String(child));
+          continue;
+        }
+        result[key] = scrub(child, key);
+      }
+      return result;
+    }
+    if (typeof value === 'string') {
+      return scrubText(value);
+    }
+    if (typeof value === 'number' && studentIds.has(String(value))) {
+      return Number(studentIds.get(String(value)));
+    }
+    return value;
+  }
+
+  const anonymised = new Map();
+  for (const [path, data] of responses) {
+    anonymised.set(scrubText(path), scrub(data, null));
+  }
+  return anonymised;
+}
+
+module.exports = { anonymiseResponses };
@@ -0,0 +1,144 @@
+// pipeline.test.js - End-to-end check of the Wilma client and processing
+//
+// Starts the mock Wilma server on a free port and runs the scraper's fetch
+// and processing steps against the bundled fixtures. Firestore is not
+// touched. Run with `npm run test:scraper`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockWilma } = require('./server');
+
+const STUDENT_ID = '1234567';
+
+let server;
+let mock;
+let wilmaApi;
+let taskProcessor;
+
+test.before(async () => {
+  mock = createMockWilma();
+  server = await new Promise(resolve => {
+    const listening = mock.app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  // wilma-api reads its configuration at load time
+  process.env.WILMA_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.WILMA_USERNAME = 'demo';
+  process.env.WILMA_PASSWORD = 'demo';
+  process.env.WILMA_STUDENT_NUMBER = '';
+  process.env.WILMA_SESSION_FILE = '';
+  process.env.WILMA_MAX_RETRIES = '0';
+  wilmaApi = require('../wilma-api');
+  taskProcessor = require('../task-processor');
+});
+
+test.after(() => {
+  server.close();
+});
+
+test('lists the students on the account', async () => {
+  const jar = await wilmaApi.login();
+  const students = await wilmaApi.fetchStudents(jar);
+
+  assert.deepEqual(students, [{ id: STUDENT_ID, name: 'Student 1' }]);
+});
+
+test('turns the overview into tasks, timetable and grades', async () => {
+  const jar = await wilmaApi.login();
+  const overview = await wilmaApi.fetchOverview(jar, STUDENT_ID);
+
+  const timetable = taskProcessor.processScheduleData(overview);
+  assert.deepEqual(Object.keys(timetable).sort(), ['English', 'Finnish', 'Math']);
+  assert.deepEqual(timetable.Math.map(lesson => lesson.weekday), [1, 3, 5]);
+
+  const tasks = taskProcessor.processOverviewData(overview, STUDENT_ID, timetable);
+  const homeworkIds = tasks
+    .filter(task => task.type === 'homework')
+    .map(task => task.id)
+    .sort();
+  assert.deepEqual(homeworkIds, [
+    `${STUDENT_ID}-homework-5001`,
+    `${STUDENT_ID}-homework-5002`,
+    `${STUDENT_ID}-homework-5003`,
+  ]);
+  assert.ok(tasks.every(task => task.student_id === STUDENT_ID));
+
+  // "Kirja s. 45-46, tehtävät 1-4" is split into steps
+  const pagesTask = tasks.find(task => task.id === `${STUDENT_ID}-homework-5001`);
+  assert.deepEqual(pagesTask.parts.map(part => part.id), [
+    'pages-45-46',
+    'exercise-1',
+    'exercise-2',
+    'exercise-3',
+    'exercise-4',
+  ]);
+
+  // Fixture exams are dated, so only the ones still ahead become tasks
+  const today = new Date().toISOString().split('T')[0];
+  assert.ok(tasks.filter(task => task.type === 'exam').every(task => task.due_date >= today));
+
+  const grades = taskProcessor.processGrades(overview, STUDENT_ID);
+  assert.deepEqual(
+    grades.map(grade => [grade.subject, grade.grade]).sort(),
+    [['Finnish', '9'], ['Math', '8+']]
+  );
+});
+
+test('fetches messages with their text', async () => {
+  const jar = await wilmaApi.login();
+  const [latest] = await wilmaApi.fetchMessages(jar, STUDENT_ID);
+  const detail = await wilmaApi.fetchMessage(jar, STUDENT_ID, latest.Id);
+  const message = taskProcessor.processMessage(latest, STUDENT_ID, detail);
+
+  assert.equal(message.id, `${STUDENT_ID}-message-9002`);
+  assert.equal(message.sent_at, '2025-03-09T14:05');
+  assert.match(message.body, /eväät & bussikortti/);
+});
+
+test('reads the lesson diary of a course group', async () => {
+  const jar = await wilmaApi.login();
+  const overview = await wilmaApi.fetchOverview(jar, STUDENT_ID);
+  const group = overview.Groups.find(g => g.Id === 101);
+
+  const entries = await wilmaApi.fetchLessonDiary(jar, STUDENT_ID, group.Id);
+  const lessons = taskProcessor.processLessonDiary(entries, group, STUDENT_ID);
+
+  // The entry with neither topic nor notes is dropped
+  assert.deepEqual(lessons.map(lesson => [lesson.date, lesson.topic]), [
+    ['2025-03-10', 'Yhtälön ratkaiseminen'],
+    ['2025-03-12', 'Sanalliset tehtävät'],
+  ]);
+  assert.equal(lessons[0].subject, 'Math');
+  assert.equal(lessons[0].notes, 'Käytiin läpi kappale 4. Muistakaa laskin keskiviikoksi.');
+  assert.equal(lessons[0].teacher, 'Teacher 1');
+});
+
+test('reads absences and late arrivals', async () => {
+  const jar = await wilmaApi.login();
+  const overview = await wilmaApi.fetchOverview(jar, STUDENT_ID);
+  const marks = await wilmaApi.fetchAttendance(jar, STUDENT_ID);
+  const records = taskProcessor.processAttendance(marks, overview, STUDENT_ID);
+
+  assert.deepEqual(records.map(record => [record.date, record.subject, record.kind]), [
+    ['2025-03-10', 'Math', 'absence'],
+    ['2025-03-10', 'English', 'absence'],
+    ['2025-03-13', 'English', 'late'],
+  ]);
+});
+
+test('logs in again when the session expires', async () => {
+  const jar = await wilmaApi.login();
+  mock.expireSessions();
+
+  const overview = await wilmaApi.fetchOverview(jar, STUDENT_ID);
+  assert.ok(Array.isArray(overview.Groups));
+});
+
+test('reports missing endpoints as server errors', async () => {
+  const jar = await wilmaApi.login();
+
+  await assert.rejects(
+    wilmaApi.fetchOverview(jar, '7654321'),
+    error => error instanceof wilmaApi.WilmaServerError && error.status === 404
+  );
+});
@@ -0,0 +1,79 @@
+// record.js - Record real Wilma responses as anonymised fixtures
+//
+// Logs in with the credentials from scraper/.env, fetches every endpoint the
+// scraper uses (with the same URLs as wilma-api.js), anonymises the responses
+// and writes them in the layout the mock server reads. The default output
+// directory, recordings/, is git-ignored: review a recording before copying
+// it into the fixtures.
+//
+// Usage: npm run scraper:record -- [--out <dir>] [--messages <count>]
+
+const fs = require('fs');
+const path = require('path');
+const wilmaApi = require('../wilma-api');
+const { anonymiseResponses } = require('./anonymise');
+const { fixtureFile } = require('./server');
+
+// Message bodies need one request each, so only the newest are recorded
+const DEFAULT_MESSAGE_COUNT = 5;
+
+function parseArgs(argv) {
+  const args = {
+    out: path.join(__dirname, 'recordings', new Date().toISOString().split('T')[0]),
+    messages: DEFAULT_MESSAGE_COUNT,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') args.out = path.resolve(argv[++i]);
+    else if (argv[i] === '--messages') args.messages = parseInt(argv[++i], 10) || 0;
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  return args;
+}
+
+async function record({ out, messages: messageCount }) {
+  const jar = await wilmaApi.login();
+  const responses = new Map();
+
+  async function fetchAndKeep(wilmaPath) {
+    const data = await wilmaApi.requestJson(jar, wilmaPath);
+    responses.set(wilmaPath, data);
+    return data;
+  }
+
+  await fetchAndKeep('/index_json');
+  const students = await wilmaApi.fetchStudents(jar);
+
+  for (const student of students) {
+    const overview = await fetchAndKeep(`/!${student.id}/overview`);
+    for (const group of overview.Groups || []) {
+      await fetchAndKeep(`/!${student.id}/groups/${group.Id}?format=json`);
+    }
+    await fetchAndKeep(`/!${student.id}/attendance/view?format=json`);
+
+    const list = await fetchAndKeep(`/!${student.id}/messages/list`);
+    for (const message of (list.Messages || []).slice(0, messageCount)) {
+      await fetchAndKeep(`/!${student.id}/messages/${message.Id}?format=json`);
+    }
+  }
+
+  const anonymised = anonymiseResponses(responses);
+  for (const [wilmaPath, data] of anonymised) {
+    const file = fixtureFile(out, wilmaPath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+    console.log(`Wrote ${path.relative(process.cwd(), file)}`);
+  }
+
+  console.log(`\nRecorded ${anonymised.size} responses to ${out}`);
+  console.log(`Serve them with MOCK_WILMA_FIXTURES=${out} npm run scraper:mock`);
+}
+
+// Run directly when executed as a script
+if (require.main === module) {
+  record(parseArgs(process.argv.slice(2))).catch(err => {
+    console.error('Recording failed:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { record };
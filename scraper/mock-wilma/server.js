@@ -0,0 +1,121 @@
+// server.js - Local stand-in for a Wilma server
+//
+// Serves the login flow and recorded JSON fixtures so wilma-api.js and the
+// rest of the scraper can run without real credentials or network access.
+// Fixtures live under fixtures/ and mirror Wilma paths:
+//   /index_json              -> fixtures/index_json.json
+//   /!1234567/overview       -> fixtures/1234567/overview.json
+//   /!1234567/messages/9001  -> fixtures/1234567/messages/9001.json
+//
+// Run with `npm run scraper:mock`, then point the scraper at it with
+// WILMA_BASE_URL=http://localhost:3001 WILMA_USERNAME=demo WILMA_PASSWORD=demo
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const DEFAULT_PORT = 3001;
+
+// Map a Wilma request path to its fixture file
+function fixtureFile(fixturesDir, wilmaPath) {
+  const pathname = wilmaPath.split('?')[0].replace(/^\/!(\d+)\//, '/$1/');
+  const segments = pathname.split('/').filter(Boolean);
+  if (segments.length === 0 || segments.some(segment => segment === '..')) {
+    return null;
+  }
+  return path.join(fixturesDir, ...segments) + '.json';
+}
+
+function readCookie(req, name) {
+  const match = new RegExp(`(?:^|;\\s*)${name}=([^;]+)`).exec(req.headers.cookie || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Create the mock Wilma express app.
+ * @param {Object} [options]
+ * @param {string} [options.fixturesDir] - Directory with recorded fixtures
+ * @param {string} [options.username] - Accepted login name
+ * @param {string} [options.password] - Accepted password
+ * @returns {{app: import('express').Express, expireSessions: Function}} The app, and a
+ *   helper that invalidates every session to simulate expiry
+ */
+function createMockWilma({
+  fixturesDir = DEFAULT_FIXTURES_DIR,
+  username = 'demo',
+  password = 'demo',
+} = {}) {
+  const app = express();
+  const loginTokens = new Set();
+  const sessions = new Set();
+
+  app.use(express.urlencoded({ extended: false }));
+
+  // Login form with the hidden SESSIONID token, like the real page
+  app.get('/login', (req, res) => {
+    const token = crypto.randomBytes(8).toString('hex');
+    loginTokens.add(token);
+    res.type('html').send(
+      '<form method="post" action="/login">' +
+      `<input type="hidden" name="SESSIONID" value="${token}">` +
+      '</form>'
+    );
+  });
+
+  app.get('/token', (req, res) => {
+    const token = crypto.randomBytes(8).toString('hex');
+    loginTokens.add(token);
+    res.json({ Wilma2LoginID: token });
+  });
+
+  app.post('/login', (req, res) => {
+    const { Login, Password, SESSIONID } = req.body;
+    if (!loginTokens.delete(SESSIONID) || Login !== username || Password !== password) {
+      res.redirect(303, '/?loginFailed');
+      return;
+    }
+
+    const sessionId = crypto.randomBytes(16).toString('hex');
+    sessions.add(sessionId);
+    res.cookie('Wilma2SID', sessionId, { path: '/', httpOnly: true });
+    res.redirect(303, '/');
+  });
+
+  // Everything else is a JSON endpoint that needs a session
+  app.get(/^\/(index_json|!\d+\/.+)$/, (req, res) => {
+    if (!sessions.has(readCookie(req, 'Wilma2SID'))) {
+      res.status(401).json({ error: { message: 'Session expired' } });
+      return;
+    }
+
+    const file = fixtureFile(fixturesDir, req.path);
+    if (!file || !fs.existsSync(file)) {
+      res.status(404).json({ error: { message: `No fixture for ${req.path}` } });
+      return;
+    }
+    res.type('json').send(fs.readFileSync(file, 'utf8'));
+  });
+
+  return {
+    app,
+    expireSessions: () => sessions.clear(),
+  };
+}
+
+// Run directly when executed as a script
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_WILMA_PORT, 10) || DEFAULT_PORT;
+  const fixturesDir = process.env.MOCK_WILMA_FIXTURES
+    ? path.resolve(process.env.MOCK_WILMA_FIXTURES)
+    : DEFAULT_FIXTURES_DIR;
+
+  const { app } = createMockWilma({ fixturesDir });
+  app.listen(port, () => {
+    console.log(`Mock Wilma serving ${fixturesDir} at http://localhost:${port}`);
+    console.log('Log in with username "demo" and password "demo"');
+  });
+}
+
+module.exports = { createMockWilma, fixtureFile };
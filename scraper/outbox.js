@@ -0,0 +1,92 @@
+// outbox.js - Local journal of Firestore writes that failed
+//
+// When a batched write is rejected, its items are appended to a JSON Lines
+// journal instead of being lost. The next sync replays the journal before
+// fetching new data (see firestoreSync.replayOutbox), and
+// `questboard-scraper outbox` shows or clears what is still pending.
+//
+// Entries hold document paths rather than references, so they can be
+// written back without the run that produced them:
+//   { key, step, id, writes: [{ path, data | update | remove, options }],
+//     failed_at, attempts, error }
+
+const fs = require('fs');
+const path = require('path');
+
+// Path relative to scraper/, like WILMA_SESSION_FILE
+const OUTBOX_FILE = path.resolve(__dirname, process.env.SCRAPER_OUTBOX_FILE || 'data/outbox.jsonl');
+
+// Read the pending entries. A later entry with the same key replaces an
+// earlier one, since only the most recent version of a write matters.
+function loadOutbox() {
+  let text;
+  try {
+    text = fs.readFileSync(OUTBOX_FILE, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const entries = new Map();
+  text.split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      const entry = JSON.parse(line);
+      entries.delete(entry.key);
+      entries.set(entry.key, entry);
+    } catch (error) {
+      // A run killed mid-append can leave a partial last line
+      console.error(`Skipping unreadable outbox line ${index + 1}: ${error.message}`);
+    }
+  });
+
+  return [...entries.values()];
+}
+
+// Add entries to the end of the journal
+function appendToOutbox(entries) {
+  if (entries.length === 0) return;
+
+  fs.mkdirSync(path.dirname(OUTBOX_FILE), { recursive: true });
+  fs.appendFileSync(OUTBOX_FILE, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''), 'utf8');
+}
+
+// Replace the journal with the given entries. The file is written next to
+// the journal and renamed over it, so a crash leaves either version intact.
+function saveOutbox(entries) {
+  if (entries.length === 0) {
+    fs.rmSync(OUTBOX_FILE, { force: true });
+    return;
+  }
+
+  const tempFile = `${OUTBOX_FILE}.tmp`;
+  fs.mkdirSync(path.dirname(OUTBOX_FILE), { recursive: true });
+  fs.writeFileSync(tempFile, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''), 'utf8');
+  fs.renameSync(tempFile, OUTBOX_FILE);
+}
+
+// Drop the entries whose key is in `keys` (their write has since succeeded)
+function removeFromOutbox(keys) {
+  const doneKeys = new Set(keys);
+  const entries = loadOutbox();
+  const remaining = entries.filter(entry => !doneKeys.has(entry.key));
+  if (remaining.length !== entries.length) {
+    saveOutbox(remaining);
+  }
+}
+
+// Delete every pending entry. Returns how many were dropped.
+function clearOutbox() {
+  const count = loadOutbox().length;
+  saveOutbox([]);
+  return count;
+}
+
+module.exports = {
+  OUTBOX_FILE,
+  loadOutbox,
+  appendToOutbox,
+  saveOutbox,
+  removeFromOutbox,
+  clearOutbox
+};
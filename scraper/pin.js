@@ -0,0 +1,53 @@
+// pin.js - Hash and check the PINs children sign in with
+//
+// Used by `questboard-scraper users set-pin` to store a PIN and by the
+// childSignIn Cloud Function (which bundles this file) to check one.
+// Only the salted scrypt hash is stored, in childPins/{studentId}, which
+// no app user can read. A child signs in as the account child-{studentId}.
+
+const crypto = require('crypto');
+
+// Short enough for a child to remember; guessing is limited by the lockout
+// in childSignIn, not by the PIN length
+const PIN_PATTERN = /^\d{4,8}$/;
+const KEY_LENGTH = 32;
+
+// Auth user ID of a student's child account
+function getChildUid(studentId) {
+  return `child-${studentId}`;
+}
+
+function isValidPin(pin) {
+  return PIN_PATTERN.test(String(pin));
+}
+
+/**
+ * Hash a PIN with a fresh salt
+ * @param {string} pin - Four to eight digits
+ * @returns {{salt: string, hash: string}} Hex-encoded salt and hash
+ */
+function hashPin(pin) {
+  if (!isValidPin(pin)) {
+    throw new Error('A PIN is 4 to 8 digits');
+  }
+
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(pin), salt, KEY_LENGTH).toString('hex');
+  return { salt, hash };
+}
+
+/**
+ * Check a PIN against a stored hash in constant time
+ * @param {string} pin - PIN as typed
+ * @param {{salt: string, hash: string}} stored - Output of hashPin
+ * @returns {boolean} True when the PIN matches
+ */
+function verifyPin(pin, stored) {
+  if (!isValidPin(pin) || !stored?.salt || !stored?.hash) return false;
+
+  const candidate = crypto.scryptSync(String(pin), stored.salt, KEY_LENGTH);
+  const expected = Buffer.from(stored.hash, 'hex');
+  return expected.length === candidate.length && crypto.timingSafeEqual(candidate, expected);
+}
+
+module.exports = { getChildUid, isValidPin, hashPin, verifyPin };
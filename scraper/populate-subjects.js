@@ -1,36 +1,6 @@
 // populate-subjects.js - Script to populate Firestore with subject data
 require('dotenv').config();
-const { initializeApp } = require('firebase/app');
-const { getFirestore, collection, doc, setDoc, getDocs, deleteDoc } = require('firebase/firestore');
-
-// Firebase configuration
-const requiredFirebaseEnv = [
-  'REACT_APP_FIREBASE_API_KEY',
-  'REACT_APP_FIREBASE_AUTH_DOMAIN',
-  'REACT_APP_FIREBASE_PROJECT_ID',
-  'REACT_APP_FIREBASE_STORAGE_BUCKET',
-  'REACT_APP_FIREBASE_MESSAGING_SENDER_ID',
-  'REACT_APP_FIREBASE_APP_ID'
-];
-
-const missingFirebaseEnv = requiredFirebaseEnv.filter((envName) => !process.env[envName]);
-
-if (missingFirebaseEnv.length > 0) {
-  throw new Error(`Missing required Firebase environment variables: ${missingFirebaseEnv.join(', ')}`);
-}
-
-const firebaseConfig = {
-  apiKey: process.env.REACT_APP_FIREBASE_API_KEY,
-  authDomain: process.env.REACT_APP_FIREBASE_AUTH_DOMAIN,
-  projectId: process.env.REACT_APP_FIREBASE_PROJECT_ID,
-  storageBucket: process.env.REACT_APP_FIREBASE_STORAGE_BUCKET,
-  messagingSenderId: process.env.REACT_APP_FIREBASE_MESSAGING_SENDER_ID,
-  appId: process.env.REACT_APP_FIREBASE_APP_ID
-};
-
-// Initialize Firebase
-const app = initializeApp(firebaseConfig);
-const db = getFirestore(app);
+const { getDb } = require('./firebase');
 
 // Parse schedule.txt data
 const scheduleData = `Monday: Math, Eco, Crafts, PE  
@@ -116,23 +86,30 @@ function parseScheduleData(scheduleText) {
   return Object.values(subjects);
 }
 
-// Populate Firestore with subject data
-async function populateSubjects() {
-  try {
-    console.log('Parsing schedule data...');
-    const subjects = parseScheduleData(scheduleData);
-    
-    console.log(`Parsed ${subjects.length} subjects from schedule data`);
+/**
+ * Populate the shared subjects catalog from the built-in schedule.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Print the parsed subjects without writing them
+ * @param {boolean} [options.clear] - Delete existing subject documents first
+ * @returns {Promise<Array<Object>>} The parsed subjects
+ */
+async function populateSubjects({ dryRun = false, clear = false } = {}) {
+  console.log('Parsing schedule data...');
+  const subjects = parseScheduleData(scheduleData);
+  
+  console.log(`Parsed ${subjects.length} subjects from schedule data`);
+  
+  if (!dryRun) {
+    const db = getDb();
     
     // Optional: Clear existing subjects collection
-    const shouldClearCollection = false;
-    if (shouldClearCollection) {
+    if (clear) {
       console.log('Clearing existing subjects collection...');
-      const existingDocs = await getDocs(collection(db, 'subjects'));
+      const existingDocs = await db.collection('subjects').get();
       
       const deletePromises = [];
       existingDocs.forEach(document => {
-        deletePromises.push(deleteDoc(doc(db, 'subjects', document.id)));
+        deletePromises.push(document.ref.delete());
       });
       
       await Promise.all(deletePromises);
@@ -142,7 +119,7 @@ async function populateSubjects() {
     // Add new subject documents
     console.log('Adding new subject documents...');
     const addPromises = subjects.map(subject => 
-      setDoc(doc(db, 'subjects', subject.id), {
+      db.collection('subjects').doc(subject.id).set({
         name: subject.name,
         color: subject.color,
         schedule: subject.schedule,
@@ -153,30 +130,33 @@ async function populateSubjects() {
     
     await Promise.all(addPromises);
     console.log(`Successfully added ${subjects.length} subjects to Firestore`);
-    
-    // Print sample data for verification
-    console.log('\nSample subject data:');
-    subjects.slice(0, 3).forEach(subject => {
-      console.log(`- ${subject.name} (${subject.id}): Classes on`, 
-        Object.entries(subject.schedule)
-          .filter(([_, hasClass]) => hasClass)
-          .map(([day]) => day.charAt(0).toUpperCase() + day.slice(1))
-          .join(', ')
-      );
-    });
-    
-  } catch (error) {
-    console.error('Error populating subjects:', error);
   }
+  
+  // Print subject data for verification
+  console.log(dryRun ? '\nSubjects that would be written:' : '\nSample subject data:');
+  (dryRun ? subjects : subjects.slice(0, 3)).forEach(subject => {
+    console.log(`- ${subject.name} (${subject.id}): Classes on`, 
+      Object.entries(subject.schedule)
+        .filter(([_, hasClass]) => hasClass)
+        .map(([day]) => day.charAt(0).toUpperCase() + day.slice(1))
+        .join(', ')
+    );
+  });
+  
+  return subjects;
+}
+
+// Run directly when executed as a script
+if (require.main === module) {
+  populateSubjects()
+    .then(() => {
+      console.log('Subject population completed');
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Fatal error:', error);
+      process.exit(1);
+    });
 }
 
-// Run the population script
-populateSubjects()
-  .then(() => {
-    console.log('Subject population completed');
-    process.exit(0);
-  })
-  .catch(error => {
-    console.error('Fatal error:', error);
-    process.exit(1);
-  });
\ No newline at end of file
+module.exports = { populateSubjects, parseScheduleData };
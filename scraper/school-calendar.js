@@ -0,0 +1,101 @@
+// school-calendar.js - Term dates, holidays and other days without school
+//
+// The calendar is edited in school-calendar.json and uploaded to Firestore
+// (calendar/school) with `questboard-scraper calendar`. The scraper uses it
+// to keep homework due dates out of holidays; the app uses the same document
+// to show "No school" instead of the timetable.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CALENDAR_FILE = path.join(__dirname, 'school-calendar.json');
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @typedef {Object} SchoolCalendar
+ * @property {Array<{name: string, start: string, end: string}>} terms - Term periods, inclusive
+ * @property {Array<{name: string, start: string, end: string}>} holidays - Breaks within or between terms, inclusive
+ * @property {Array<{name: string, date: string}>} non_school_days - One-off days off
+ */
+
+/**
+ * Check a calendar read from file or Firestore.
+ * @param {Object} calendar - Parsed calendar
+ * @returns {SchoolCalendar} Calendar with missing lists defaulted to []
+ */
+function validateCalendar(calendar) {
+  if (!calendar || typeof calendar !== 'object') {
+    throw new Error('School calendar must be a JSON object');
+  }
+
+  const result = {
+    terms: calendar.terms || [],
+    holidays: calendar.holidays || [],
+    non_school_days: calendar.non_school_days || []
+  };
+
+  for (const listName of ['terms', 'holidays']) {
+    result[listName].forEach((period, index) => {
+      if (!ISO_DATE.test(period.start) || !ISO_DATE.test(period.end) || period.start > period.end) {
+        throw new Error(`${listName}[${index}] (${period.name || 'unnamed'}) needs start <= end as YYYY-MM-DD`);
+      }
+    });
+  }
+  result.non_school_days.forEach((day, index) => {
+    if (!ISO_DATE.test(day.date)) {
+      throw new Error(`non_school_days[${index}] (${day.name || 'unnamed'}) needs a YYYY-MM-DD date`);
+    }
+  });
+
+  return result;
+}
+
+// Read and validate the calendar file
+function loadCalendarFile(file = DEFAULT_CALENDAR_FILE) {
+  const calendar = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return validateCalendar(calendar);
+}
+
+/**
+ * Explain why there is no school on a date.
+ * Weekends never have school; with a calendar, holidays, one-off days off
+ * and days outside every term don't either.
+ * @param {SchoolCalendar|null} calendar - Calendar, or null if none is set up
+ * @param {string} isoDate - Date as YYYY-MM-DD
+ * @returns {string|null} Reason such as "Autumn break", or null on school days
+ */
+function getNonSchoolDayReason(calendar, isoDate) {
+  const [year, month, day] = isoDate.split('-').map(part => parseInt(part, 10));
+  const weekday = new Date(year, month - 1, day).getDay();
+  if (weekday === 0 || weekday === 6) return 'Weekend';
+
+  if (!calendar) return null;
+
+  const dayOff = (calendar.non_school_days || []).find(entry => entry.date === isoDate);
+  if (dayOff) return dayOff.name || 'Day off';
+
+  const holiday = (calendar.holidays || []).find(period =>
+    period.start <= isoDate && isoDate <= period.end
+  );
+  if (holiday) return holiday.name || 'Holiday';
+
+  const terms = calendar.terms || [];
+  if (terms.length > 0 && !terms.some(term => term.start <= isoDate && isoDate <= term.end)) {
+    return 'Term break';
+  }
+
+  return null;
+}
+
+// Whether the school is open on a date (YYYY-MM-DD)
+function isSchoolDay(calendar, isoDate) {
+  return getNonSchoolDayReason(calendar, isoDate) === null;
+}
+
+module.exports = {
+  DEFAULT_CALENDAR_FILE,
+  validateCalendar,
+  loadCalendarFile,
+  getNonSchoolDayReason,
+  isSchoolDay
+};
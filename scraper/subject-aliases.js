@@ -0,0 +1,119 @@
+// subject-aliases.js - Registry mapping Wilma course names to app subjects
+//
+// Aliases live in the Firestore `subjectAliases` collection so new course
+// names can be mapped without a code change. Each alias is either an exact
+// (case-insensitive) course name or an explicit regular expression; exact
+// aliases always win over patterns. Course names that match nothing are
+// collected so they can be queued for review in the app.
+
+// Subjects used before the registry existed; Firestore is seeded from these
+const DEFAULT_SUBJECT_ALIASES = [
+  { match: 'exact', value: 'historia', subject: 'History' },
+  { match: 'exact', value: 'matematiikka', subject: 'Math' },
+  { match: 'exact', value: 'äidinkieli', subject: 'Finnish' },
+  { match: 'exact', value: 'äidinkieli ja kirjallisuus', subject: 'Finnish' },
+  { match: 'exact', value: 'suomi', subject: 'Finnish' },
+  { match: 'exact', value: 'suomen kieli', subject: 'Finnish' },
+  { match: 'exact', value: 'finska', subject: 'Finnish' },
+  { match: 'exact', value: 'englanti', subject: 'English' },
+  { match: 'exact', value: 'elämänkatsomustieto', subject: 'Ethics' },
+  { match: 'exact', value: 'yhteiskuntaoppi', subject: 'Civics' },
+  { match: 'exact', value: 'ympäristöoppi', subject: 'Eco' },
+  // Course codes such as "MA7" or "ET 5A" and longer names built on the above
+  { match: 'pattern', value: '^(matematiikka|mat?)(\\d|\\s|$)', subject: 'Math' },
+  { match: 'pattern', value: '^(äidinkieli|suomi|suomen kieli|ai)(\\d|\\s|$)', subject: 'Finnish' },
+  { match: 'pattern', value: '^(englanti|eng?)(\\d|\\s|$)', subject: 'English' },
+  { match: 'pattern', value: '^(elämänkatsomustieto|et)(\\d|\\s|$)', subject: 'Ethics' },
+  { match: 'pattern', value: '^(yhteiskuntaoppi|yht?)(\\d|\\s|$)', subject: 'Civics' },
+  { match: 'pattern', value: '^(ympäristöoppi|ymp?)(\\d|\\s|$)', subject: 'Eco' },
+  { match: 'pattern', value: '^(historia|hist?)(\\d|\\s|$)', subject: 'History' }
+];
+
+let exactAliases = new Map();
+let patternAliases = [];
+const knownSubjects = new Set();
+const unmappedCourseNames = new Set();
+
+function normalizeCourseName(name) {
+  return String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Firestore document ID for an exact alias (also used for review queue entries)
+function getAliasId(courseName) {
+  return normalizeCourseName(courseName).replace(/[/.#$[\]]/g, '-');
+}
+
+/**
+ * Replace the active aliases.
+ * Entries without a subject are pending review and are ignored.
+ * @param {Array<{match: string, value: string, subject: string|null}>} aliases
+ */
+function setSubjectAliases(aliases) {
+  exactAliases = new Map();
+  patternAliases = [];
+  knownSubjects.clear();
+  unmappedCourseNames.clear();
+
+  for (const alias of aliases) {
+    if (!alias.subject) continue;
+    knownSubjects.add(alias.subject);
+
+    if (alias.match === 'pattern') {
+      try {
+        patternAliases.push({ regex: new RegExp(alias.value, 'i'), subject: alias.subject });
+      } catch (error) {
+        console.error(`Ignoring invalid subject alias pattern ${alias.value}: ${error.message}`);
+      }
+    } else {
+      exactAliases.set(normalizeCourseName(alias.value), alias.subject);
+    }
+  }
+}
+
+/**
+ * Map a Wilma course name to the subject used in the app.
+ * Exact aliases are tried first, then patterns in order. Names that are
+ * already a known subject are returned as they are. Anything else is
+ * returned unchanged and remembered as unmapped.
+ * @param {string} courseName - Course name or code from Wilma
+ * @returns {string} Subject name
+ */
+function resolveSubject(courseName) {
+  if (!courseName) return 'Unknown';
+
+  const normalized = normalizeCourseName(courseName);
+  if (exactAliases.has(normalized)) {
+    return exactAliases.get(normalized);
+  }
+
+  const patternMatch = patternAliases.find(({ regex }) => regex.test(normalized));
+  if (patternMatch) {
+    return patternMatch.subject;
+  }
+
+  const knownSubject = [...knownSubjects].find(subject => subject.toLowerCase() === normalized);
+  if (knownSubject) {
+    return knownSubject;
+  }
+
+  if (!unmappedCourseNames.has(courseName.trim())) {
+    console.log(`Unknown subject: ${courseName}`);
+    unmappedCourseNames.add(courseName.trim());
+  }
+  return courseName.trim();
+}
+
+// Course names seen since the aliases were last set that matched nothing
+function getUnmappedCourseNames() {
+  return [...unmappedCourseNames];
+}
+
+setSubjectAliases(DEFAULT_SUBJECT_ALIASES);
+
+module.exports = {
+  DEFAULT_SUBJECT_ALIASES,
+  getAliasId,
+  setSubjectAliases,
+  resolveSubject,
+  getUnmappedCourseNames
+};
@@ -1,66 +1,31 @@
 // task-processor.js - Module for processing and normalizing task data
 
+const crypto = require('crypto');
+
 // Import from local dateUtils.js (not from src/utils)
-const { findNextClassOccurrence, getTodayIsoDate } = require('./dateUtils');
-
-// Subject name translation mapping
-const subjectTranslations = {
-  // Direct matches (case insensitive)
-  'historia': 'History',
-  'matematiikka': 'Math',
-  'äidinkieli': 'Finnish',
-  'englanti': 'English',
-  'elämänkatsomustieto': 'Ethics',
-  'yhteiskuntaoppi': 'Civics',
-  'ympäristöoppi': 'Eco',
-  
-  // Partial matches and variants
-  'suomi': 'Finnish',
-  'finska': 'Finnish',
-  'suomen kieli': 'Finnish',
-  'mat': 'Math',
-  'eng': 'English',
-  'et': 'Ethics',
-  'yht': 'Civics',
-  'ymp': 'Eco',
-  'hist': 'History'
+const {
+  findNextClassOccurrence,
+  findNextSchoolDay,
+  getTodayIsoDate,
+  getWeekdayMap,
+  toIsoDate
+} = require('./dateUtils');
+const { isSchoolDay } = require('./school-calendar');
+const { resolveSubject } = require('./subject-aliases');
+const { parseDeadline } = require('./deadline-parser');
+const { extractHomeworkParts } = require('./homework-parts');
+
+// Where a task's due_date came from, so the app can show how sure it is
+const DUE_DATE_SOURCE = {
+  EXPLICIT: 'explicit', // written by the teacher (exam date or deadline in the text)
+  SCHEDULE: 'schedule', // next lesson of the subject
+  FALLBACK: 'fallback'  // no lesson found; a few school days after it was given
 };
 
-// Function to translate Finnish subject names to English
-function translateSubjectName(finnishName) {
-  if (!finnishName) return 'Unknown';
-  
-  // Check for direct match (case insensitive)
-  const lowerName = finnishName.toLowerCase().trim();
-  
-  // First try direct match
-  if (subjectTranslations[lowerName]) {
-    return subjectTranslations[lowerName];
-  }
-  
-  // Then try partial matches
-  for (const [finnish, english] of Object.entries(subjectTranslations)) {
-    if (lowerName.includes(finnish.toLowerCase())) {
-      return english;
-    }
-  }
-  
-  // If no match found, check if it's already one of our standard English subject names
-  const standardSubjects = ['History', 'Math', 'Finnish', 'English', 'Ethics', 'Civics', 'Eco'];
-  const standardSubjectsLower = standardSubjects.map(s => s.toLowerCase());
-  
-  if (standardSubjectsLower.includes(lowerName)) {
-    // Return the properly capitalized version from our subjects array
-    for (const subject of standardSubjects) {
-      if (subject.toLowerCase() === lowerName) {
-        return subject;
-      }
-    }
-    return finnishName;
-  }
-  
-  console.log(`Unknown subject: ${finnishName}`);
-  return finnishName;
+// Translate a Wilma course name to the subject used in the app.
+// The mapping lives in the subject alias registry (see subject-aliases.js).
+function translateSubjectName(courseName) {
+  return resolveSubject(courseName);
 }
 
 // Normalize date format
@@ -104,80 +69,148 @@ function normalizeDate(dateString) {
   }
 }
 
-// Generate a unique ID for a task
-function generateUniqueId(subject, date, type) {
-  // Clean up the inputs to make them suitable for ID generation
-  const cleanSubject = (subject || '').toString()
-    .replace(/[^\w]/g, '')
-    .substring(0, 10);
-    
-  const cleanDate = (date || '').toString()
-    .replace(/[^\d]/g, '')
-    .substring(0, 8);
-    
-  const cleanType = (type || '').toString()
-    .replace(/[^\w]/g, '')
-    .substring(0, 5);
-  
-  // Base for the ID is concatenation of cleaned parts
-  let baseId = `${cleanSubject}-${cleanDate}-${cleanType}`;
-  
-  // Additional entropy to reduce collision risk
-  const timestamp = Date.now().toString(36);
-  const randomPart = Math.floor(Math.random() * 10000).toString(36);
-  
-  // Return the combined ID
-  return `${baseId}-${timestamp}-${randomPart}`;
+/**
+ * Generate a stable ID for a task so the same Wilma item always maps to
+ * the same Firestore document.
+ * Uses Wilma's own homework/exam identifier when the API provides one and
+ * falls back to a hash of the item's content otherwise. IDs are prefixed
+ * with the student number because siblings in the same group see the same items.
+ * @param {string} studentId - Wilma student number
+ * @param {string} type - Item type ('homework', 'exam' or 'grade')
+ * @param {number|string|null} wilmaId - Wilma's identifier for the item, if any
+ * @param {Array<string>} contentParts - Fields identifying the item when there is no Wilma ID
+ * @returns {string} Deterministic task ID
+ */
+function generateTaskId(studentId, type, wilmaId, contentParts) {
+  const key = wilmaId != null && String(wilmaId).trim() !== ''
+    ? String(wilmaId).replace(/[^\w]/g, '')
+    : crypto.createHash('sha1').update(contentParts.join('|')).digest('hex').substring(0, 16);
+
+  return `${studentId}-${type}-${key}`;
 }
 
 /**
  * Calculate due date for a homework task based on:
+ * - A deadline written in the description ("palautus pe 14.3.")
  * - Date added
  * - Subject (to find next class occurrence)
+ * - School calendar (lessons during holidays don't count)
  * @param {string} subject - The subject of the homework
  * @param {string} dateAdded - ISO format date when homework was added
- * @returns {string} ISO format due date
+ * @param {Object} [timetable] - Weekly timetable from processScheduleData
+ * @param {Object|null} [calendar] - School calendar (see school-calendar.js)
+ * @param {string} [description] - Homework text to look for a deadline in
+ * @returns {{date: string, source: string, phrase?: string}} ISO format due date
+ *   and its DUE_DATE_SOURCE (plus the matched text for explicit deadlines)
  */
-function calculateHomeworkDueDate(subject, dateAdded) {
+function calculateHomeworkDueDate(subject, dateAdded, timetable = {}, calendar = null, description = '') {
   if (!dateAdded) {
     // If no date_added, use today
     dateAdded = getTodayIsoDate();
   }
   
+  // A deadline written by the teacher beats anything derived from the timetable
+  const deadline = parseDeadline(description, dateAdded);
+  if (deadline) {
+    return { date: deadline.date, source: DUE_DATE_SOURCE.EXPLICIT, phrase: deadline.phrase };
+  }
+  
+  const isOpen = isoDate => isSchoolDay(calendar, isoDate);
+  
   try {
     // Translate subject name for correct mapping
     const normalizedSubject = translateSubjectName(subject);
     
     // Find the next class occurrence for this subject
-    const nextClassDate = findNextClassOccurrence(normalizedSubject, dateAdded);
+    const nextClassDate = findNextClassOccurrence(normalizedSubject, dateAdded, getWeekdayMap(timetable), isOpen);
     
     // Convert to ISO string format (YYYY-MM-DD)
-    return `${nextClassDate.getFullYear()}-${(nextClassDate.getMonth() + 1).toString().padStart(2, '0')}-${nextClassDate.getDate().toString().padStart(2, '0')}`;
+    return { date: toIsoDate(nextClassDate), source: DUE_DATE_SOURCE.SCHEDULE };
   } catch (error) {
     console.error('Error calculating homework due date:', error);
     
-    // Fallback: return date that's 3 days after the date_added
+    // Fallback: the first school day at least 3 days after the date_added
     try {
       const addedDate = new Date(dateAdded);
-      const dueDate = new Date(addedDate);
-      dueDate.setDate(dueDate.getDate() + 3);
-      return `${dueDate.getFullYear()}-${(dueDate.getMonth() + 1).toString().padStart(2, '0')}-${dueDate.getDate().toString().padStart(2, '0')}`;
+      addedDate.setDate(addedDate.getDate() + 2);
+      return { date: toIsoDate(findNextSchoolDay(addedDate, isOpen)), source: DUE_DATE_SOURCE.FALLBACK };
     } catch {
       // If all else fails, fallback to a week from today
       const today = new Date();
       const dueDate = new Date(today);
       dueDate.setDate(dueDate.getDate() + 7);
-      return `${dueDate.getFullYear()}-${(dueDate.getMonth() + 1).toString().padStart(2, '0')}-${dueDate.getDate().toString().padStart(2, '0')}`;
+      return { date: toIsoDate(dueDate), source: DUE_DATE_SOURCE.FALLBACK };
+    }
+  }
+}
+
+/**
+ * Build the weekly timetable from the Schedule[] array of the /overview response.
+ * Wilma numbers days 1 (Monday) to 7 (Sunday); lessons are returned with
+ * JavaScript weekday numbers (0 = Sunday) to match Date#getDay().
+ * Schedule groups are resolved to the CourseName of the matching overview
+ * group so the timetable uses the same subject names as homework and exams.
+ * @param {Object} overview - Raw /overview response
+ * @returns {Object<string, Array<{weekday: number, start: string, end: string}>>}
+ *   Lessons per subject, sorted by weekday and start time
+ */
+function processScheduleData(overview) {
+  const timetable = {};
+  if (!overview || !Array.isArray(overview.Schedule)) {
+    return timetable;
+  }
+
+  const groupsById = new Map((overview.Groups || []).map(group => [group.Id, group]));
+
+  for (const entry of overview.Schedule) {
+    const day = parseInt(entry.Day, 10);
+    if (!(day >= 1 && day <= 7)) continue;
+
+    for (const scheduleGroup of entry.Groups || []) {
+      const courseName = groupsById.get(scheduleGroup.Id)?.CourseName ||
+        scheduleGroup.FullCaption ||
+        scheduleGroup.Caption;
+      if (!courseName) continue;
+
+      const subject = translateSubjectName(courseName);
+      const lessons = timetable[subject] || (timetable[subject] = []);
+      const lesson = { weekday: day % 7, start: entry.Start || '', end: entry.End || '' };
+
+      // Double lessons and split groups can list the same slot twice
+      if (!lessons.some(l => l.weekday === lesson.weekday && l.start === lesson.start)) {
+        lessons.push(lesson);
+      }
     }
   }
+
+  for (const lessons of Object.values(timetable)) {
+    lessons.sort((a, b) => a.weekday - b.weekday || a.start.localeCompare(b.start));
+  }
+
+  return timetable;
+}
+
+// Build the task description of an exam from its caption and topic
+function describeExam(exam) {
+  return [exam.Caption, exam.Topic]
+    .filter(Boolean)
+    .join(': ')
+    .replace(/\s+/g, ' ')
+    .trim();
 }
 
 // Process the raw /overview JSON from the Wilma API.
 // overview.Groups[] contains course groups, each with Homework[] and Exams[].
-function processOverviewData(overview) {
+// Homework due dates are derived from the timetable in overview.Schedule[],
+// skipping days the school calendar marks as holidays.
+// Every task is tagged with the Wilma student number it was fetched for.
+function processOverviewData(overview, studentId, timetable = processScheduleData(overview), calendar = null) {
   if (!overview || !Array.isArray(overview.Groups)) {
     throw new Error('Invalid overview data: expected Groups array');
   }
+  if (!studentId) {
+    throw new Error('Cannot process overview data without a student id');
+  }
 
   const processedTasks = [];
   const today = getTodayIsoDate();
@@ -191,18 +224,30 @@ function processOverviewData(overview) {
       if (!description) continue;
 
       const dateAdded = normalizeDate(hw.Date);
-      const dueDate = calculateHomeworkDueDate(subject, dateAdded);
+      const dueDate = calculateHomeworkDueDate(subject, dateAdded, timetable, calendar, description);
 
-      processedTasks.push({
-        id: generateUniqueId(subject, dateAdded, 'homework'),
+      const task = {
+        id: generateTaskId(studentId, 'homework', hw.Id, [group.Id, dateAdded, description]),
+        wilma_id: hw.Id ?? null,
         date_added: dateAdded,
-        due_date: dueDate,
+        due_date: dueDate.date,
+        due_date_source: dueDate.source,
         subject,
         description: description.substring(0, 1000),
         type: 'homework',
         status: 'open',
-        student_id: 1,
-      });
+        student_id: String(studentId),
+      };
+      if (dueDate.phrase) {
+        task.due_date_phrase = dueDate.phrase;
+      }
+
+      // Pages, exercises and materials the app shows as separate sub-steps
+      const parts = extractHomeworkParts(description);
+      if (parts.length > 0) {
+        task.parts = parts;
+      }
+      processedTasks.push(task);
     }
 
     // Process upcoming exams (skip graded exams and past dates)
@@ -212,22 +257,20 @@ function processOverviewData(overview) {
       const examDate = normalizeDate(exam.Date);
       if (examDate < today) continue;
 
-      const description = [exam.Caption, exam.Topic]
-        .filter(Boolean)
-        .join(': ')
-        .replace(/\s+/g, ' ')
-        .trim();
+      const description = describeExam(exam);
       if (!description) continue;
 
       processedTasks.push({
-        id: generateUniqueId(subject, examDate, 'exam'),
+        id: generateTaskId(studentId, 'exam', exam.Id, [group.Id, examDate, description]),
+        wilma_id: exam.Id ?? null,
         due_date: examDate,
+        due_date_source: DUE_DATE_SOURCE.EXPLICIT,
         subject,
         description: description.substring(0, 1000),
         topic: (exam.Topic || '').trim(),
         type: 'exam',
         status: 'open',
-        student_id: 1,
+        student_id: String(studentId),
       });
     }
   }
@@ -235,9 +278,163 @@ function processOverviewData(overview) {
   return processedTasks;
 }
 
+// Extract graded exams from the /overview JSON.
+// Each grade is linked to the exam task through the same stable ID the
+// exam was stored under while it was upcoming.
+function processGrades(overview, studentId) {
+  if (!overview || !Array.isArray(overview.Groups)) {
+    throw new Error('Invalid overview data: expected Groups array');
+  }
+
+  const grades = [];
+
+  for (const group of overview.Groups) {
+    const subject = translateSubjectName(group.CourseName);
+
+    for (const exam of group.Exams || []) {
+      const grade = exam.Grade != null ? String(exam.Grade).trim() : '';
+      if (!grade) continue;
+
+      const examDate = normalizeDate(exam.Date);
+      const description = describeExam(exam);
+      const idParts = [group.Id, examDate, description];
+
+      grades.push({
+        id: generateTaskId(studentId, 'grade', exam.Id, idParts),
+        task_id: generateTaskId(studentId, 'exam', exam.Id, idParts),
+        student_id: String(studentId),
+        subject,
+        date: examDate,
+        description: description.substring(0, 1000),
+        topic: (exam.Topic || '').trim(),
+        grade,
+        verbal_grade: (exam.VerbalGrade || '').trim(),
+      });
+    }
+  }
+
+  return grades;
+}
+
+// Convert a Wilma message body to plain text for display in the app
+function htmlToText(html) {
+  return String(html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h\d)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Convert a Wilma message list entry (and optionally its fetched detail)
+// into a message document. Wilma timestamps look like "2024-01-15 10:21".
+function processMessage(message, studentId, detail = null) {
+  const timestamp = String(message.TimeStamp || '').trim();
+  const match = /^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2})/.exec(timestamp);
+
+  const processed = {
+    id: generateTaskId(studentId, 'message', message.Id, [timestamp, message.Subject]),
+    wilma_id: message.Id ?? null,
+    student_id: String(studentId),
+    subject: (message.Subject || '').trim(),
+    sender: (message.Sender || '').trim(),
+    sent_at: match ? `${match[1]}T${match[2]}` : timestamp,
+  };
+
+  if (detail) {
+    processed.body = htmlToText(detail.ContentHtml).substring(0, 10000);
+  }
+
+  return processed;
+}
+
+// The date a task is filed under: when homework was given, when an exam is due
+function getTaskDate(task) {
+  return task.type === 'exam' ? task.due_date : task.date_added;
+}
+
+// Process the lesson diary (Tuntipäiväkirja) of one overview group.
+// Entries without a topic or notes say nothing about the lesson and are skipped.
+function processLessonDiary(entries, group, studentId) {
+  const subject = translateSubjectName(group.CourseName);
+  const lessons = [];
+
+  for (const entry of entries || []) {
+    const date = normalizeDate(entry.Date);
+    const topic = htmlToText(entry.Topic || '');
+    const notes = htmlToText(entry.Notes || '');
+    if (!date || (!topic && !notes)) continue;
+
+    lessons.push({
+      id: generateTaskId(studentId, 'lesson', entry.Id, [group.Id, date, entry.Start || '', topic]),
+      wilma_id: entry.Id ?? null,
+      student_id: String(studentId),
+      group_id: group.Id ?? null,
+      subject,
+      date,
+      start: entry.Start || '',
+      topic,
+      notes,
+      teacher: (entry.Teachers || [])
+        .map(teacher => teacher.LongCaption || teacher.Caption)
+        .filter(Boolean)
+        .join(', ')
+    });
+  }
+
+  return lessons;
+}
+
+// Process attendance marks into one record per lesson.
+// Wilma captions late arrivals "Myöhästyminen"; every other mark
+// ("Sairaus", "Luvaton poissaolo", ...) means the lesson was missed.
+function processAttendance(marks, overview, studentId) {
+  const groupsById = new Map(((overview && overview.Groups) || []).map(group => [group.Id, group]));
+  const records = [];
+
+  for (const mark of marks || []) {
+    const date = normalizeDate(mark.Date);
+    if (!date) continue;
+
+    const group = groupsById.get(mark.GroupId);
+    const reason = (mark.Caption || '').trim();
+
+    records.push({
+      id: generateTaskId(studentId, 'attendance', mark.Id, [date, mark.Start || '', mark.GroupId ?? '']),
+      wilma_id: mark.Id ?? null,
+      student_id: String(studentId),
+      date,
+      start: mark.Start || '',
+      end: mark.End || '',
+      group_id: mark.GroupId ?? null,
+      subject: translateSubjectName(group ? group.CourseName : mark.CourseName),
+      kind: /myöhä/i.test(reason) ? 'late' : 'absence',
+      reason,
+      clarified: Boolean(mark.Clarified)
+    });
+  }
+
+  return records;
+}
+
 // Export the module functions
 module.exports = {
+  DUE_DATE_SOURCE,
   processOverviewData,
+  processGrades,
+  processMessage,
+  processLessonDiary,
+  processAttendance,
+  processScheduleData,
   translateSubjectName,
   normalizeDate,
+  generateTaskId,
+  getTaskDate,
 };
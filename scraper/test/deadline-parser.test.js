@@ -0,0 +1,71 @@
+// deadline-parser.test.js - Deadlines found in Finnish homework text
+//
+// Dates are given relative to the day the homework was added. 10.3.2025 is
+// a Monday. Run with `npm run test:scraper`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDeadline } = require('../deadline-parser');
+
+const MONDAY = '2025-03-10';
+const WEDNESDAY = '2025-03-12';
+
+test('reads a date next to a weekday abbreviation', () => {
+  assert.deepEqual(parseDeadline('Essee, palautus pe 14.3.', MONDAY), {
+    date: '2025-03-14',
+    phrase: 'pe 14.3.'
+  });
+});
+
+test('reads a date followed by "mennessä"', () => {
+  assert.deepEqual(parseDeadline('Essee 14.3. mennessä', MONDAY), {
+    date: '2025-03-14',
+    phrase: '14.3. mennessä'
+  });
+});
+
+test('reads "ensi maanantaiksi" as the Monday of next week', () => {
+  assert.deepEqual(parseDeadline('Tehtävät 1-4 ensi maanantaiksi', WEDNESDAY), {
+    date: '2025-03-17',
+    phrase: 'ensi maanantaiksi'
+  });
+});
+
+test('reads a weekday name as the next such day, never the same day', () => {
+  assert.equal(parseDeadline('Lue luku 2 maanantaiksi', MONDAY).date, '2025-03-17');
+});
+
+test('reads relative phrases from the day the homework was given', () => {
+  assert.equal(parseDeadline('Tehtävä huomiseksi', MONDAY).date, '2025-03-11');
+  assert.equal(parseDeadline('Essee viikon päästä', MONDAY).date, '2025-03-17');
+});
+
+test('moves a date without a year that has passed to the next year', () => {
+  assert.deepEqual(parseDeadline('Palautus 8.1.', '2025-12-18'), {
+    date: '2026-01-08',
+    phrase: 'palautus 8.1.'
+  });
+});
+
+test('does not take a textbook section for a date', () => {
+  assert.equal(parseDeadline('Lue kappale 3.4.', MONDAY), null);
+  assert.equal(parseDeadline('Lue kappale 3.4. ja tee tehtävät', MONDAY), null);
+});
+
+test('trusts the date when the weekday next to it disagrees', () => {
+  // 14.3.2025 is a Friday, not a Tuesday
+  assert.equal(parseDeadline('Palautus ti 14.3.', MONDAY).date, '2025-03-14');
+  assert.equal(parseDeadline('Maanantaiksi, palautus 14.3.', MONDAY).date, '2025-03-14');
+});
+
+test('ignores deadlines too far ahead to be meant as one', () => {
+  // 10.3. has just passed, so it would mean next March
+  assert.equal(parseDeadline('Palautus 10.3.', WEDNESDAY), null);
+  assert.equal(parseDeadline('Koe 20.12.2025', MONDAY), null);
+});
+
+test('returns null without text or a date to count from', () => {
+  assert.equal(parseDeadline('', MONDAY), null);
+  assert.equal(parseDeadline('Palautus pe 14.3.', ''), null);
+  assert.equal(parseDeadline('Tee tehtävät 1-4', MONDAY), null);
+});
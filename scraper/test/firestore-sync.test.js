@@ -0,0 +1,164 @@
+// firestore-sync.test.js - Batched Firestore writes and the outbox journal
+//
+// Firestore is replaced by a stub that records each committed batch and can
+// be told to reject some, and the outbox journal lives in a temporary file.
+// Run with `npm run test:scraper`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'questboard-outbox-'));
+process.env.SCRAPER_OUTBOX_FILE = path.join(tempDir, 'outbox.jsonl');
+
+// Committed batches, as lists of `{ op, path, data, options }`
+let commits = [];
+// Called with the writes of each batch; return true to reject it
+let rejectBatch = () => false;
+
+const stubDb = {
+  doc: docPath => ({ path: docPath }),
+  batch() {
+    const writes = [];
+    return {
+      set: (ref, data, options) => writes.push({ op: 'set', path: ref.path, data, options }),
+      update: (ref, data) => writes.push({ op: 'update', path: ref.path, data }),
+      delete: ref => writes.push({ op: 'delete', path: ref.path }),
+      async commit() {
+        if (rejectBatch(writes)) throw new Error('Batch rejected');
+        commits.push(writes);
+      }
+    };
+  }
+};
+
+// firestore-sync takes getDb from firebase.js when it is loaded
+require('../firebase').getDb = () => stubDb;
+const firestoreSync = require('../firestore-sync');
+const outbox = require('../outbox');
+
+const makeTask = index => ({
+  id: `1234567-homework-${index}`,
+  type: 'homework',
+  subject: 'Math',
+  description: `Tehtävä ${index}`,
+  due_date: '2025-03-14',
+  date_added: '2025-03-10',
+  student_id: '1234567'
+});
+
+const writtenPaths = () => commits.flat().map(write => write.path);
+
+// The sync logs every write it makes
+test.before(() => {
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'error', () => {});
+});
+
+test.beforeEach(() => {
+  commits = [];
+  rejectBatch = () => false;
+  outbox.saveOutbox([]);
+});
+
+test.after(() => {
+  test.mock.restoreAll();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('splits writes into batches under the Firestore limit', async () => {
+  const tasks = Array.from({ length: 1000 }, (_, index) => makeTask(index));
+
+  const result = await firestoreSync.saveNewTasks(tasks);
+
+  assert.equal(result.failed.length, 0);
+  assert.deepEqual(commits.map(batch => batch.length), [450, 450, 100]);
+  assert.equal(new Set(writtenPaths()).size, 1000);
+});
+
+test('keeps the writes of one item in the same batch', async () => {
+  const tasks = Array.from({ length: 449 }, (_, index) => makeTask(index));
+  tasks.push({ ...makeTask(449), migrated_from: 'old-449' });
+
+  await firestoreSync.saveNewTasks(tasks);
+
+  // 449 + 2 writes would pass the limit, so the moved task starts a new batch
+  assert.deepEqual(commits.map(batch => batch.length), [449, 2]);
+  assert.deepEqual(commits[1].map(write => [write.op, write.path]), [
+    ['set', 'tasks/1234567-homework-449'],
+    ['delete', 'tasks/old-449']
+  ]);
+});
+
+test('retries a rejected batch one item at a time', async () => {
+  const badPath = 'tasks/1234567-homework-2';
+  rejectBatch = writes => writes.some(write => write.path === badPath);
+
+  const tasks = Array.from({ length: 5 }, (_, index) => makeTask(index));
+  const result = await firestoreSync.saveNewTasks(tasks);
+
+  assert.deepEqual(result.failed.map(({ id }) => id), ['1234567-homework-2']);
+  assert.deepEqual(commits.map(batch => batch.length), [1, 1, 1, 1]);
+  assert.ok(!writtenPaths().includes(badPath));
+
+  const [entry] = outbox.loadOutbox();
+  assert.equal(entry.key, 'add:1234567-homework-2');
+  assert.equal(entry.attempts, 1);
+  assert.equal(entry.error, 'Batch rejected');
+  assert.equal(entry.writes[0].path, badPath);
+});
+
+test('replays the outbox and keeps what fails again', async () => {
+  rejectBatch = () => true;
+  await firestoreSync.saveNewTasks([makeTask(1), makeTask(2)]);
+  assert.equal(outbox.loadOutbox().length, 2);
+
+  // Only task 2 is still rejected on the next run
+  rejectBatch = writes => writes.some(write => write.path === 'tasks/1234567-homework-2');
+  const replay = await firestoreSync.replayOutbox();
+
+  assert.deepEqual(replay, { replayed: 1, pending: 1 });
+  assert.ok(writtenPaths().includes('tasks/1234567-homework-1'));
+  const pending = outbox.loadOutbox();
+  assert.deepEqual(pending.map(entry => [entry.key, entry.attempts]), [['add:1234567-homework-2', 2]]);
+
+  rejectBatch = () => false;
+  assert.deepEqual(await firestoreSync.replayOutbox(), { replayed: 1, pending: 0 });
+  assert.ok(!fs.existsSync(outbox.OUTBOX_FILE));
+});
+
+test('drops a journaled write once a later sync writes the same item', async () => {
+  rejectBatch = () => true;
+  await firestoreSync.saveNewTasks([makeTask(1)]);
+
+  rejectBatch = () => false;
+  await firestoreSync.saveNewTasks([makeTask(1)]);
+
+  assert.deepEqual(outbox.loadOutbox(), []);
+});
+
+test('keeps only the latest entry for a key', () => {
+  outbox.appendToOutbox([
+    { key: 'add:a', step: 'add', id: 'a', writes: [], attempts: 1 },
+    { key: 'revision:a', step: 'revision', id: 'a', writes: [], attempts: 1 }
+  ]);
+  outbox.appendToOutbox([{ key: 'add:a', step: 'add', id: 'a', writes: [], attempts: 3 }]);
+
+  assert.deepEqual(outbox.loadOutbox().map(entry => [entry.key, entry.attempts]), [
+    ['revision:a', 1],
+    ['add:a', 3]
+  ]);
+});
+
+test('skips a partly written last line', () => {
+  outbox.appendToOutbox([{ key: 'add:a', step: 'add', id: 'a', writes: [], attempts: 1 }]);
+  fs.appendFileSync(outbox.OUTBOX_FILE, '{"key":"add:b","step":"ad');
+
+  assert.deepEqual(outbox.loadOutbox().map(entry => entry.key), ['add:a']);
+
+  // Rewriting the journal drops the broken line for good
+  outbox.removeFromOutbox(['add:a']);
+  assert.ok(!fs.existsSync(outbox.OUTBOX_FILE));
+});
@@ -0,0 +1,64 @@
+// homework-parts.test.js - Sub-steps split out of homework text
+//
+// Run with `npm run test:scraper`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractHomeworkParts } = require('../homework-parts');
+
+const ids = parts => parts.map(part => part.id);
+
+test('splits pages and an exercise range into steps', () => {
+  assert.deepEqual(extractHomeworkParts('Kirja s. 45-46, tehtävät 1-4'), [
+    { id: 'pages-45-46', type: 'pages', label: '45-46', book: 'Kirja' },
+    { id: 'exercise-1', type: 'exercise', label: '1' },
+    { id: 'exercise-2', type: 'exercise', label: '2' },
+    { id: 'exercise-3', type: 'exercise', label: '3' },
+    { id: 'exercise-4', type: 'exercise', label: '4' }
+  ]);
+});
+
+test('reads en dash ranges like hyphen ranges', () => {
+  assert.deepEqual(
+    extractHomeworkParts('Kirja s. 45–47, teht. 1–3'),
+    extractHomeworkParts('Kirja s. 45-47, teht. 1-3')
+  );
+});
+
+test('keeps long exercise ranges as one step', () => {
+  assert.deepEqual(ids(extractHomeworkParts('Tehtävät 1-30 ja vihko')), [
+    'exercise-1-30',
+    'material-vihko'
+  ]);
+});
+
+test('splits lists joined with commas and "ja"', () => {
+  assert.deepEqual(ids(extractHomeworkParts('Tehtävät 3, 5a ja 7')), [
+    'exercise-3',
+    'exercise-5a',
+    'exercise-7'
+  ]);
+});
+
+test('adds materials to bring as steps', () => {
+  assert.deepEqual(extractHomeworkParts('Kirja s. 45–47, tehtävät 3 + vihko ja laskin'), [
+    { id: 'pages-45-47', type: 'pages', label: '45-47', book: 'Kirja' },
+    { id: 'exercise-3', type: 'exercise', label: '3' },
+    { id: 'material-vihko', type: 'material', label: 'vihko' },
+    { id: 'material-laskin', type: 'material', label: 'laskin' }
+  ]);
+});
+
+test('keeps part IDs when the description is reworded', () => {
+  const original = extractHomeworkParts('Kirja s. 45-46, tehtävät 1-4');
+  const reworded = extractHomeworkParts('Tee tehtävät 1–4 ja lue kirjasta s. 45–46');
+
+  assert.deepEqual(ids(reworded).sort(), ids(original).sort());
+});
+
+test('returns no steps for a single step or none', () => {
+  assert.deepEqual(extractHomeworkParts('Lue s. 12'), []);
+  assert.deepEqual(extractHomeworkParts('Tee tehtävät 3 ja 3'), []);
+  assert.deepEqual(extractHomeworkParts('Harjoittele sanakoetta'), []);
+  assert.deepEqual(extractHomeworkParts(''), []);
+});
@@ -0,0 +1,265 @@
+// plan-task-sync.test.js - What a sync changes for the tasks already stored
+//
+// planTaskSync only compares lists, so no Firestore is needed: "stored"
+// tasks are written here the way an earlier sync would have saved them.
+// Run with `npm run test:scraper`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { planTaskSync } = require('../firestore-sync');
+const { toIsoDate } = require('../dateUtils');
+
+const STUDENT_ID = '1234567';
+
+// ISO date `days` from today; exams only count as withdrawn while ahead
+function daysFromToday(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return toIsoDate(date);
+}
+
+// A processed homework task, as task-processor makes it
+const homework = (wilmaId, fields = {}) => ({
+  id: `${STUDENT_ID}-homework-${wilmaId}`,
+  wilma_id: wilmaId,
+  type: 'homework',
+  subject: 'Math',
+  description: `Tehtävät ${wilmaId}`,
+  date_added: '2025-03-10',
+  due_date: '2025-03-12',
+  due_date_source: 'schedule',
+  student_id: STUDENT_ID,
+  ...fields
+});
+
+const exam = (wilmaId, fields = {}) => ({
+  id: `${STUDENT_ID}-exam-${wilmaId}`,
+  wilma_id: wilmaId,
+  type: 'exam',
+  subject: 'Math',
+  description: 'Koe',
+  topic: 'Yhtälöt',
+  date_added: '2025-03-01',
+  due_date: daysFromToday(7),
+  due_date_source: 'explicit',
+  student_id: STUDENT_ID,
+  ...fields
+});
+
+// A task added with the add-task button, as TaskContext.createTask saves it
+const appTask = (fields = {}) => ({
+  id: 'app-made-id',
+  type: 'homework',
+  subject: 'Math',
+  description: 'Pakkaa liikuntakassi',
+  status: 'open',
+  completed: false,
+  date_added: '2025-03-10',
+  due_date: '2025-03-12',
+  student_id: STUDENT_ID,
+  source: 'app',
+  ...fields
+});
+
+const ids = tasks => tasks.map(task => task.id);
+
+const editCases = [
+  {
+    name: 'records a reworded homework with the fields derived from it',
+    stored: homework(1),
+    fresh: homework(1, {
+      description: 'Tehtävät 1, palautus pe 14.3.',
+      due_date: '2025-03-14',
+      due_date_source: 'explicit',
+      due_date_phrase: 'pe 14.3.'
+    }),
+    changes: {
+      description: { before: 'Tehtävät 1', after: 'Tehtävät 1, palautus pe 14.3.' },
+      due_date: { before: '2025-03-12', after: '2025-03-14' },
+      due_date_source: { before: 'schedule', after: 'explicit' },
+      due_date_phrase: { before: '', after: 'pe 14.3.' }
+    }
+  },
+  {
+    name: 'records new steps along with a reworded homework',
+    stored: homework(2, { description: 'Kirja s. 45' }),
+    fresh: homework(2, {
+      description: 'Kirja s. 45, tehtävät 1-2',
+      parts: [{ id: 'pages-45', type: 'pages', label: '45', book: 'Kirja' }]
+    }),
+    changes: {
+      description: { before: 'Kirja s. 45', after: 'Kirja s. 45, tehtävät 1-2' },
+      parts: { before: '', after: [{ id: 'pages-45', type: 'pages', label: '45', book: 'Kirja' }] }
+    }
+  },
+  {
+    name: 'ignores a homework due date that moved with the timetable',
+    stored: homework(3),
+    fresh: homework(3, { due_date: '2025-03-13' }),
+    changes: null
+  },
+  {
+    name: 'records a moved exam',
+    stored: exam(4),
+    fresh: exam(4, { due_date: daysFromToday(9) }),
+    changes: { due_date: { before: daysFromToday(7), after: daysFromToday(9) } }
+  },
+  {
+    name: 'records a new exam topic',
+    stored: exam(5),
+    fresh: exam(5, { topic: 'Yhtälöt ja epäyhtälöt' }),
+    changes: { topic: { before: 'Yhtälöt', after: 'Yhtälöt ja epäyhtälöt' } }
+  },
+  {
+    name: 'leaves an unchanged task alone',
+    stored: homework(6, { completed: true, status: 'completed' }),
+    fresh: homework(6),
+    changes: null
+  }
+];
+
+for (const { name, stored, fresh, changes } of editCases) {
+  test(name, () => {
+    const plan = planTaskSync([fresh], [stored]);
+
+    assert.deepEqual(plan.toAdd, []);
+    assert.deepEqual(plan.revisions, changes ? [{ task: stored, changes }] : []);
+    assert.deepEqual(plan.withdrawn, []);
+  });
+}
+
+test('brings back a withdrawn task that is listed again', () => {
+  const stored = homework(7, { withdrawn: true });
+  const plan = planTaskSync([homework(7)], [stored]);
+
+  assert.deepEqual(plan.reappeared, [stored]);
+  assert.deepEqual(plan.revisions, []);
+});
+
+// The fresh list holds one Math homework from 10.3., so Math homework from
+// that day on counts as listed by Wilma
+const freshList = [homework(100)];
+
+const withdrawalCases = [
+  { name: 'homework inside the window', task: homework(11, { date_added: '2025-03-11' }), withdrawn: true },
+  { name: 'homework from the first day of the window', task: homework(12), withdrawn: true },
+  { name: 'homework older than the window', task: homework(13, { date_added: '2025-03-05' }), withdrawn: false },
+  { name: 'homework of a subject with none listed', task: homework(14, { subject: 'English' }), withdrawn: false },
+  { name: 'an upcoming exam', task: exam(15), withdrawn: true },
+  { name: 'an exam due today', task: exam(16, { due_date: daysFromToday(0) }), withdrawn: true },
+  { name: 'a past exam', task: exam(17, { due_date: daysFromToday(-1) }), withdrawn: false },
+  {
+    name: 'a task of a student not synced',
+    task: homework(18, { id: '7654321-homework-18', student_id: '7654321' }),
+    withdrawn: false
+  },
+  { name: 'a task already withdrawn', task: homework(19, { withdrawn: true }), withdrawn: false },
+  {
+    name: 'a task promoted from a message',
+    task: homework(20, {
+      id: `${STUDENT_ID}-message-20`,
+      wilma_id: null,
+      source_message_id: `${STUDENT_ID}-message-20`
+    }),
+    withdrawn: false
+  },
+  {
+    name: 'homework added in the app',
+    task: appTask({ date_added: '2025-03-11' }),
+    withdrawn: false
+  },
+  {
+    // Saved by versions that wrote `wilma_id: null` on app-made tasks
+    name: 'homework added in the app with an empty wilma_id',
+    task: appTask({ date_added: '2025-03-11', wilma_id: null }),
+    withdrawn: false
+  },
+  {
+    name: 'an exam added in the app',
+    task: appTask({ type: 'exam', due_date: daysFromToday(3) }),
+    withdrawn: false
+  },
+  {
+    name: 'a task saved before stable IDs',
+    task: (({ wilma_id, ...task }) => ({ ...task, id: 'legacy-21' }))(homework(21)),
+    withdrawn: false
+  },
+  // With --since the fresh list only holds what was filed on or after it
+  {
+    name: 'homework filed before --since',
+    task: homework(22, { date_added: '2025-03-11' }),
+    fresh: [homework(101, { date_added: '2025-03-12' })],
+    since: '2025-03-12',
+    withdrawn: false
+  },
+  {
+    name: 'homework filed on --since',
+    task: homework(23, { date_added: '2025-03-12' }),
+    fresh: [homework(101, { date_added: '2025-03-12' })],
+    since: '2025-03-12',
+    withdrawn: true
+  },
+  { name: 'an exam due before --since', task: exam(24), since: daysFromToday(10), withdrawn: false },
+  {
+    name: 'an exam due after --since',
+    task: exam(25, { due_date: daysFromToday(12) }),
+    since: daysFromToday(10),
+    withdrawn: true
+  }
+];
+
+for (const { name, task, fresh = freshList, since = null, withdrawn } of withdrawalCases) {
+  test(`${withdrawn ? 'withdraws' : 'keeps'} ${name} missing from Wilma`, () => {
+    const plan = planTaskSync(fresh, [task], { since });
+
+    assert.deepEqual(ids(plan.withdrawn), withdrawn ? [task.id] : []);
+  });
+}
+
+test('moves a task saved before stable IDs to its stable ID', () => {
+  const legacy = {
+    id: 'random-doc-id',
+    type: 'homework',
+    subject: 'Math',
+    description: 'Tehtävät 30',
+    student_id: 1,
+    status: 'completed',
+    completed: true,
+    completedDate: '2025-03-11T16:00:00.000Z'
+  };
+
+  const plan = planTaskSync([homework(30)], [legacy]);
+
+  assert.deepEqual(plan.toAdd, [{
+    ...homework(30),
+    status: 'completed',
+    completed: true,
+    completedDate: '2025-03-11T16:00:00.000Z',
+    migrated_from: 'random-doc-id'
+  }]);
+  assert.deepEqual(plan.withdrawn, []);
+});
+
+test('moves a task saved before stable IDs only once', () => {
+  const legacy = { id: 'random-doc-id', type: 'homework', subject: 'Math', description: 'Sama', student_id: STUDENT_ID };
+  const plan = planTaskSync(
+    [homework(31, { description: 'Sama' }), homework(32, { description: 'Sama' })],
+    [legacy]
+  );
+
+  assert.deepEqual(plan.toAdd.map(task => task.migrated_from), ['random-doc-id', undefined]);
+});
+
+test('adds a task that matches nothing stored', () => {
+  const legacy = { id: 'random-doc-id', type: 'homework', subject: 'Math', description: 'Muu', student_id: STUDENT_ID };
+  const plan = planTaskSync([homework(33)], [legacy]);
+
+  assert.deepEqual(plan.toAdd, [homework(33)]);
+});
+
+test('never takes a task added in the app for one saved before stable IDs', () => {
+  const plan = planTaskSync([homework(34, { description: 'Pakkaa liikuntakassi' })], [appTask()]);
+
+  assert.equal(plan.toAdd.length, 1);
+  assert.equal(plan.toAdd[0].migrated_from, undefined);
+});
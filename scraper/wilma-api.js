@@ -2,30 +2,88 @@
 //
 // Authenticates with Wilma via HTTP and fetches the /overview JSON endpoint.
 // Replaces the Puppeteer-based school-portal.js with direct API calls.
+// Requests time out, transient failures are retried with backoff, and an
+// expired session is renewed automatically.
 
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
 const { CookieJar } = require('tough-cookie');
+const {
+  WilmaError,
+  WilmaAuthError,
+  WilmaNetworkError,
+  WilmaParseError,
+  WilmaServerError,
+} = require('./wilma-errors');
 
 const WILMA_BASE_URL = process.env.WILMA_BASE_URL;
 const WILMA_USERNAME = process.env.WILMA_USERNAME;
 const WILMA_PASSWORD = process.env.WILMA_PASSWORD;
-const WILMA_STUDENT_NUMBER = process.env.WILMA_STUDENT_NUMBER;
+// Optional comma-separated list restricting which students are scraped
+const WILMA_STUDENT_NUMBERS = (process.env.WILMA_STUDENT_NUMBER || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+// Optional file to keep the session cookie in between runs
+const WILMA_SESSION_FILE = process.env.WILMA_SESSION_FILE
+  ? path.resolve(__dirname, process.env.WILMA_SESSION_FILE)
+  : null;
+
+// Give up on a single request after this long
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WILMA_TIMEOUT_MS, 10) || 15000;
+// Retries for network failures and 5xx responses, with exponential backoff
+const MAX_RETRIES = process.env.WILMA_MAX_RETRIES ? parseInt(process.env.WILMA_MAX_RETRIES, 10) : 3;
+const RETRY_BASE_DELAY_MS = 500;
 
 const USER_AGENT =
   'Mozilla/5.0 (Windows NT 10.0; Win64; x64) ' +
   'AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0 Safari/537.36';
 
 // Validate required env vars at module load
-const REQUIRED_ENV = { WILMA_BASE_URL, WILMA_USERNAME, WILMA_PASSWORD, WILMA_STUDENT_NUMBER };
+const REQUIRED_ENV = { WILMA_BASE_URL, WILMA_USERNAME, WILMA_PASSWORD };
 for (const [name, value] of Object.entries(REQUIRED_ENV)) {
   if (!value) {
     throw new Error(`Missing required environment variable: ${name}`);
   }
 }
 
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Counters for the current run, recorded in the scraperRuns audit log
+let requestStats;
+
+function resetRequestStats() {
+  requestStats = {
+    requests: 0,
+    retries: 0,
+    network_errors: 0,
+    relogins: 0,
+    total_ms: 0,
+    statuses: {},
+  };
+}
+resetRequestStats();
+
+// Snapshot of the request counters since the last reset
+function getRequestStats() {
+  return { ...requestStats, statuses: { ...requestStats.statuses } };
+}
+
+// Exponential backoff with full jitter: 0..500ms, 0..1s, 0..2s, ...
+function retryDelay(attempt) {
+  return Math.random() * RETRY_BASE_DELAY_MS * 2 ** attempt;
+}
+
+function isRetryableStatus(status) {
+  return status >= 500 || status === 429;
+}
+
 /**
  * Low-level HTTP request with automatic cookie management.
  * Reads and stores cookies via the provided tough-cookie jar.
+ * Times out after REQUEST_TIMEOUT_MS; failures without a response
+ * are raised as WilmaNetworkError.
  */
 async function rawRequest(jar, path, options = {}) {
   const url = new URL(path, WILMA_BASE_URL).toString();
@@ -43,11 +101,26 @@ async function rawRequest(jar, path, options = {}) {
   const fetchOptions = {
     method: options.method || 'GET',
     headers,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
   };
   if (options.body !== undefined) fetchOptions.body = options.body;
   if (options.redirect) fetchOptions.redirect = options.redirect;
 
-  const resp = await fetch(url, fetchOptions);
+  let resp;
+  const startedAt = Date.now();
+  requestStats.requests++;
+  try {
+    resp = await fetch(url, fetchOptions);
+  } catch (error) {
+    requestStats.network_errors++;
+    const reason = error.name === 'TimeoutError'
+      ? `timed out after ${REQUEST_TIMEOUT_MS}ms`
+      : (error.cause?.code || error.message);
+    throw new WilmaNetworkError(`Wilma request failed at ${path}: ${reason}`, { path, cause: error });
+  } finally {
+    requestStats.total_ms += Date.now() - startedAt;
+  }
+  requestStats.statuses[resp.status] = (requestStats.statuses[resp.status] || 0) + 1;
 
   // Store cookies from response (Node 20+ has getSetCookie; older has get)
   const setCookies = resp.headers.getSetCookie?.() ?? [];
@@ -63,44 +136,112 @@ async function rawRequest(jar, path, options = {}) {
   return resp;
 }
 
+/**
+ * HTTP request that retries network failures and 5xx/429 responses
+ * with exponential backoff and jitter.
+ * Only GET requests are retried: a repeated login POST is not idempotent
+ * and counts towards Wilma's account lockout.
+ * Throws WilmaNetworkError or WilmaServerError once retries run out.
+ */
+async function request(jar, path, options = {}) {
+  const maxRetries = (options.method || 'GET') === 'GET' ? MAX_RETRIES : 0;
+
+  for (let attempt = 0; ; attempt++) {
+    let failure;
+    try {
+      const resp = await rawRequest(jar, path, options);
+      if (!isRetryableStatus(resp.status)) return resp;
+
+      // Release the connection before trying again
+      await resp.text();
+      failure = new WilmaServerError(
+        `Wilma API error: HTTP ${resp.status} at ${path}`,
+        { path, status: resp.status }
+      );
+    } catch (error) {
+      if (!(error instanceof WilmaNetworkError)) throw error;
+      failure = error;
+    }
+
+    if (attempt >= maxRetries) throw failure;
+
+    const delay = retryDelay(attempt);
+    requestStats.retries++;
+    console.warn(`${failure.message} - retrying in ${Math.round(delay)}ms (${attempt + 1}/${maxRetries})`);
+    await sleep(delay);
+  }
+}
+
 /**
  * Obtain the session token needed for the login POST.
  * Tries the login form's hidden SESSIONID field first,
  * falls back to the /token JSON endpoint.
  */
 async function getSessionToken(jar) {
-  const resp = await rawRequest(jar, '/login');
+  const resp = await request(jar, '/login');
   const html = await resp.text();
 
   const formMatch = /name="SESSIONID"\s+value="([^"]+)"/.exec(html);
   if (formMatch) return formMatch[1];
 
-  const tokenResp = await rawRequest(jar, '/token');
+  const tokenResp = await request(jar, '/token');
   if (tokenResp.status !== 200) {
-    throw new Error(`Failed to fetch login token: HTTP ${tokenResp.status}`);
+    throw new WilmaServerError(
+      `Failed to fetch login token: HTTP ${tokenResp.status}`,
+      { path: '/token', status: tokenResp.status }
+    );
   }
 
   const tokenText = await tokenResp.text();
   let data;
   try {
     data = JSON.parse(tokenText);
-  } catch {
-    throw new Error('Failed to parse /token response as JSON');
+  } catch (error) {
+    throw new WilmaParseError('Failed to parse /token response as JSON', { path: '/token', cause: error });
   }
 
   if (!data.Wilma2LoginID) {
-    throw new Error('Wilma2LoginID not found in /token response');
+    throw new WilmaParseError('Wilma2LoginID not found in /token response', { path: '/token' });
   }
 
   return data.Wilma2LoginID;
 }
 
+function hasSessionCookie(jar) {
+  return jar.getCookiesSync(WILMA_BASE_URL).some(c => c.key === 'Wilma2SID');
+}
+
+// Restore the session saved by a previous run, if it is still usable
+function loadSavedSession() {
+  if (!WILMA_SESSION_FILE || !fs.existsSync(WILMA_SESSION_FILE)) return null;
+
+  try {
+    const jar = CookieJar.deserializeSync(fs.readFileSync(WILMA_SESSION_FILE, 'utf8'));
+    return hasSessionCookie(jar) ? jar : null;
+  } catch (error) {
+    console.warn(`Ignoring unreadable session file ${WILMA_SESSION_FILE}: ${error.message}`);
+    return null;
+  }
+}
+
+// Keep the session cookie for the next run. Failing to save is not fatal.
+function saveSession(jar) {
+  if (!WILMA_SESSION_FILE) return;
+
+  try {
+    fs.mkdirSync(path.dirname(WILMA_SESSION_FILE), { recursive: true });
+    fs.writeFileSync(WILMA_SESSION_FILE, JSON.stringify(jar.serializeSync()), { mode: 0o600 });
+  } catch (error) {
+    console.warn(`Could not save Wilma session to ${WILMA_SESSION_FILE}: ${error.message}`);
+  }
+}
+
 /**
- * Authenticate with Wilma.
- * Returns a CookieJar containing a valid Wilma2SID session cookie.
+ * Log in with the configured credentials, replacing any cookies in the jar.
+ * Throws WilmaAuthError when Wilma does not hand out a session.
  */
-async function login() {
-  const jar = new CookieJar();
+async function authenticate(jar) {
+  jar.removeAllCookiesSync();
   const sessionToken = await getSessionToken(jar);
 
   const body = new URLSearchParams({
@@ -109,7 +250,7 @@ async function login() {
     SESSIONID: sessionToken,
   });
 
-  const resp = await rawRequest(jar, '/login', {
+  const resp = await request(jar, '/login', {
     method: 'POST',
     body: body.toString(),
     headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
@@ -119,52 +260,189 @@ async function login() {
   // Always consume response body to release the connection
   const text = await resp.text();
 
-  const hasSession = jar.getCookiesSync(WILMA_BASE_URL)
-    .some(c => c.key === 'Wilma2SID');
-
-  if (!hasSession) {
+  if (!hasSessionCookie(jar)) {
     if (/loginFailed/i.test(text)) {
-      throw new Error('Wilma login failed: invalid credentials');
+      throw new WilmaAuthError('Wilma login failed: invalid credentials', { path: '/login' });
     }
-    throw new Error('Wilma login failed: no session cookie received');
+    throw new WilmaAuthError('Wilma login failed: no session cookie received', { path: '/login' });
   }
 
+  saveSession(jar);
   console.log('Authenticated with Wilma');
+}
+
+/**
+ * Authenticate with Wilma.
+ * Returns a CookieJar containing a valid Wilma2SID session cookie.
+ * With WILMA_SESSION_FILE set, the previous run's session is reused;
+ * an expired session is renewed on the first 401.
+ */
+async function login() {
+  const savedJar = loadSavedSession();
+  if (savedJar) {
+    console.log('Reusing saved Wilma session');
+    return savedJar;
+  }
+
+  const jar = new CookieJar();
+  await authenticate(jar);
   return jar;
 }
 
+// An expired session shows up as a 401, or as a redirect to the login page
+function isSessionExpired(resp) {
+  return resp.status === 401 || (resp.redirected && /\/login\b/.test(resp.url));
+}
+
 /**
- * Fetch the /overview endpoint for the configured student.
- * Returns the raw API response object containing Groups[], Schedule[], and Exams[].
+ * GET a Wilma JSON endpoint and parse the response.
+ * Logs in again once if the session has expired.
+ * Throws WilmaAuthError, WilmaServerError or WilmaParseError.
  */
-async function fetchOverview(jar) {
-  const path = `/!${WILMA_STUDENT_NUMBER}/overview`;
-  const resp = await rawRequest(jar, path);
+async function requestJson(jar, path) {
+  let resp = await request(jar, path);
+
+  if (isSessionExpired(resp)) {
+    await resp.text();
+    console.log('Wilma session expired, logging in again');
+    requestStats.relogins++;
+    await authenticate(jar);
+    resp = await request(jar, path);
 
-  if (resp.status === 401) {
-    throw new Error('Wilma session expired or unauthorized');
+    if (isSessionExpired(resp)) {
+      throw new WilmaAuthError(`Wilma session rejected at ${path}`, { path, status: resp.status });
+    }
   }
   if (!resp.ok) {
-    throw new Error(`Wilma API error: HTTP ${resp.status} at ${path}`);
+    throw new WilmaServerError(`Wilma API error: HTTP ${resp.status} at ${path}`, { path, status: resp.status });
   }
 
   const text = await resp.text();
   let data;
   try {
     data = JSON.parse(text);
-  } catch {
-    throw new Error(
-      `Wilma /overview returned non-JSON response: ${text.substring(0, 200)}`
+  } catch (error) {
+    throw new WilmaParseError(
+      `Wilma ${path} returned non-JSON response: ${text.substring(0, 200)}`,
+      { path, cause: error }
     );
   }
 
   if (!data || typeof data !== 'object') {
-    throw new Error('Wilma /overview returned invalid data');
+    throw new WilmaParseError(`Wilma ${path} returned invalid data`, { path });
+  }
+
+  return data;
+}
+
+/**
+ * List the students available to the logged-in account.
+ * A parent account has one student role per child; each role's Slug
+ * (e.g. "/!0466066") carries the student number used in API paths.
+ * When student numbers are given (by default from WILMA_STUDENT_NUMBER),
+ * only the listed students are returned.
+ * @param {string[]} [studentNumbers] - Students to restrict the result to
+ * @returns {Promise<Array<{id: string, name: string}>>} Students to scrape
+ */
+async function fetchStudents(jar, studentNumbers = WILMA_STUDENT_NUMBERS) {
+  const data = await requestJson(jar, '/index_json');
+
+  let students = (data.Roles || [])
+    .filter(role => role.Type === 'student')
+    .map(role => ({
+      id: (/!(\d+)/.exec(role.Slug || '') || [])[1],
+      name: (role.Name || '').trim(),
+    }))
+    .filter(student => student.id);
+
+  if (studentNumbers.length > 0) {
+    students = studentNumbers.map(id =>
+      students.find(student => student.id === id) || { id, name: id }
+    );
+  }
+
+  if (students.length === 0) {
+    throw new WilmaAuthError('No student roles found for this Wilma account', { path: '/index_json' });
   }
 
+  console.log(`Found ${students.length} student(s): ${students.map(s => s.name).join(', ')}`);
+  return students;
+}
+
+/**
+ * Fetch the /overview endpoint for a student.
+ * Returns the raw API response object containing Groups[], Schedule[], and Exams[].
+ */
+async function fetchOverview(jar, studentNumber) {
+  const data = await requestJson(jar, `/!${studentNumber}/overview`);
+
   const groupCount = (data.Groups || []).length;
   console.log(`Fetched overview: ${groupCount} course groups`);
   return data;
 }
 
-module.exports = { login, fetchOverview };
+/**
+ * List the messages in a student's Wilma inbox.
+ * Entries carry Id, Subject, TimeStamp and Sender but not the message body.
+ * @returns {Promise<Array<Object>>} Raw Messages[] entries, newest first
+ */
+async function fetchMessages(jar, studentNumber) {
+  const data = await requestJson(jar, `/!${studentNumber}/messages/list`);
+
+  const messages = data.Messages || [];
+  console.log(`Fetched message list: ${messages.length} messages`);
+  return messages;
+}
+
+/**
+ * Fetch a single message including its HTML body.
+ * @returns {Promise<Object|null>} Raw message with ContentHtml, or null if Wilma returned none
+ */
+async function fetchMessage(jar, studentNumber, messageId) {
+  const data = await requestJson(jar, `/!${studentNumber}/messages/${messageId}?format=json`);
+
+  const messages = data.messages || data.Messages || [];
+  return messages[0] || null;
+}
+
+/**
+ * Fetch the lesson diary (Tuntipäiväkirja) of a course group: one entry per
+ * lesson with the topic covered and the teacher's notes.
+ * @returns {Promise<Array<Object>>} Raw Diary[] entries ({ Id, Date, Start, End, Topic, Notes, Teachers })
+ */
+async function fetchLessonDiary(jar, studentNumber, groupId) {
+  const data = await requestJson(jar, `/!${studentNumber}/groups/${groupId}?format=json`);
+
+  return data.Diary || [];
+}
+
+/**
+ * Fetch a student's attendance markings (absences and late arrivals).
+ * Each mark covers one lesson of one course group.
+ * @returns {Promise<Array<Object>>} Raw Marks[] entries ({ Id, Date, Start, End, GroupId, Caption, Clarified })
+ */
+async function fetchAttendance(jar, studentNumber) {
+  const data = await requestJson(jar, `/!${studentNumber}/attendance/view?format=json`);
+
+  const marks = data.Marks || [];
+  console.log(`Fetched attendance: ${marks.length} marks`);
+  return marks;
+}
+
+module.exports = {
+  login,
+  requestJson,
+  fetchStudents,
+  fetchOverview,
+  fetchMessages,
+  fetchMessage,
+  fetchLessonDiary,
+  fetchAttendance,
+  getRequestStats,
+  resetRequestStats,
+  WilmaError,
+  WilmaAuthError,
+  WilmaNetworkError,
+  WilmaParseError,
+  WilmaServerError,
+};
@@ -0,0 +1,35 @@
+// wilma-errors.js - Typed errors raised by the Wilma API client
+//
+// Callers can tell apart failures that need different reactions:
+// bad credentials (fix config), network trouble and server errors
+// (try again later) and unexpected responses (Wilma changed its API).
+
+// Base class for every error raised while talking to Wilma
+class WilmaError extends Error {
+  constructor(message, { path = null, status = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.path = path;
+    this.status = status;
+  }
+}
+
+// Login rejected, or the session expired and could not be renewed
+class WilmaAuthError extends WilmaError {}
+
+// Request never got a response: DNS failure, connection reset or timeout
+class WilmaNetworkError extends WilmaError {}
+
+// Response was not in the expected format (non-JSON, missing fields)
+class WilmaParseError extends WilmaError {}
+
+// Wilma answered with an HTTP error status
+class WilmaServerError extends WilmaError {}
+
+module.exports = {
+  WilmaError,
+  WilmaAuthError,
+  WilmaNetworkError,
+  WilmaParseError,
+  WilmaServerError,
+};
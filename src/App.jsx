@@ -3,8 +3,17 @@ import TaskContainer from './components/tasks/TaskContainer';
 import TodaySubjects from './components/subjects/TodaySubjects';
 import TomorrowSubjects from './components/subjects/TomorrowSubjects';
 import AppHeader from './components/layout/AppHeader';
+import GradesTimeline from './components/grades/GradesTimeline';
+import AnnouncementsPanel from './components/messages/AnnouncementsPanel';
+import MissedWorkPanel from './components/attendance/MissedWorkPanel';
+import SubjectReviewQueue from './components/subjects/SubjectReviewQueue';
 import { SubjectProvider } from './context/SubjectContext';
 import { TaskProvider } from './context/TaskContext';
+import { StudentProvider } from './context/StudentContext';
+import { AuthProvider } from './context/AuthContext';
+import AuthGate from './components/auth/AuthGate';
+import StudentGate from './components/auth/StudentGate';
+import AddTaskButton from './components/tasks/AddTaskButton';
 import { CONTAINER_TYPE } from './hooks/useContainerTasks';
 
 /**
@@ -13,30 +22,55 @@ import { CONTAINER_TYPE } from './hooks/useContainerTasks';
  */
 function App() {
   return (
-    <TaskProvider>
-      <SubjectProvider>
-        <div className="app">
-          {/* App Header - Always at top */}
-          <AppHeader />
-          
-          {/* Archive Container - Collapsed by default */}
-          <TaskContainer containerType={CONTAINER_TYPE.ARCHIVE} />
-          
-          {/* Current and Tomorrow containers in a responsive grid layout */}
-          <div className="container-row desktop-grid">
-            <TaskContainer containerType={CONTAINER_TYPE.CURRENT}>
-              <TodaySubjects />
-            </TaskContainer>
-            <TaskContainer containerType={CONTAINER_TYPE.TOMORROW}>
-              <TomorrowSubjects />
-            </TaskContainer>
-          </div>
-          
-          {/* Future container spans full width */}
-          <TaskContainer containerType={CONTAINER_TYPE.FUTURE} />
-        </div>
-      </SubjectProvider>
-    </TaskProvider>
+    <AuthProvider>
+      {/* Sign-in screen until a linked account is signed in */}
+      <AuthGate>
+        <StudentProvider>
+          {/* Nothing to show until the student is found */}
+          <StudentGate>
+            <TaskProvider>
+              <SubjectProvider>
+                <div className="app">
+                  {/* App Header - Always at top */}
+                  <AppHeader />
+                  
+                  {/* Wilma course names waiting for a subject - hidden when empty */}
+                  <SubjectReviewQueue />
+                  
+                  {/* Wilma messages - can be promoted to tasks */}
+                  <AnnouncementsPanel />
+                  
+                  {/* Lessons and homework missed during recent absences */}
+                  <MissedWorkPanel />
+                  
+                  {/* Archive Container - Collapsed by default */}
+                  <TaskContainer containerType={CONTAINER_TYPE.ARCHIVE} />
+                  
+                  {/* Grade history per subject - next to the archive */}
+                  <GradesTimeline />
+                  
+                  {/* Current and Tomorrow containers in a responsive grid layout */}
+                  <div className="container-row desktop-grid">
+                    <TaskContainer containerType={CONTAINER_TYPE.CURRENT}>
+                      <TodaySubjects />
+                    </TaskContainer>
+                    <TaskContainer containerType={CONTAINER_TYPE.TOMORROW}>
+                      <TomorrowSubjects />
+                    </TaskContainer>
+                  </div>
+                  
+                  {/* Future container spans full width */}
+                  <TaskContainer containerType={CONTAINER_TYPE.FUTURE} />
+                  
+                  {/* Floating button for adding a task by hand - parents only */}
+                  <AddTaskButton />
+                </div>
+              </SubjectProvider>
+            </TaskProvider>
+          </StudentGate>
+        </StudentProvider>
+      </AuthGate>
+    </AuthProvider>
   );
 }
 
@@ -0,0 +1,92 @@
+/**
+ * MissedWorkPanel
+ * 
+ * A collapsible "missed while absent" list for the days the student was away
+ * in the last two weeks. For each missed lesson it shows what was covered in
+ * class and the homework given, so catching up after a sick day starts from
+ * one list instead of a hunt through Wilma.
+ * 
+ * Hidden when there were no recent absences.
+ */
+
+import React, { useState } from 'react';
+import { useMissedWork } from '../../hooks/useMissedWork';
+import { formatDate } from '../../utils/dateUtils';
+
+function MissedWorkPanel() {
+  const { missedDays, isLoading, error } = useMissedWork();
+  const [isExpanded, setIsExpanded] = useState(false);
+  
+  if (isLoading || (!error && missedDays.length === 0)) {
+    return null;
+  }
+  
+  const openTaskCount = missedDays
+    .flatMap(day => day.subjects)
+    .flatMap(subject => subject.tasks)
+    .filter(task => !task.completed).length;
+  
+  return (
+    <div className="task-container archive-container missed-work-container">
+      <button 
+        className="container-toggle" 
+        onClick={() => setIsExpanded(!isExpanded)}
+        aria-expanded={isExpanded}
+        aria-controls="missed-work-content"
+      >
+        <div className={`toggle-content ${isExpanded ? 'expanded' : ''}`}>
+          <span className="toggle-title">🤒 Missed while absent</span>
+          <span className="toggle-icon">{isExpanded ? '▼' : '▲'}</span>
+        </div>
+        <p>
+          {missedDays.length} {missedDays.length === 1 ? 'day' : 'days'} away
+          {openTaskCount > 0 && ` · ${openTaskCount} homework to catch up on`}
+        </p>
+      </button>
+      
+      <div id="missed-work-content" className={`archive-content ${isExpanded ? 'visible' : ''}`}>
+        {error && <div className="task-container__error">{error}</div>}
+        
+        {missedDays.map(day => (
+          <section key={day.date} className="missed-day">
+            <h3 className="missed-day__date">
+              {formatDate(day.date, { weekday: 'long', month: 'short', day: 'numeric' })}
+              {day.reasons.length > 0 && (
+                <span className="missed-day__reason"> · {day.reasons.join(', ')}</span>
+              )}
+            </h3>
+            
+            <ul className="missed-day__subjects">
+              {day.subjects.map(({ subject, lessons, tasks }) => (
+                <li key={subject} className="missed-subject">
+                  <span className="subject-pill">{subject}</span>
+                  
+                  {lessons.length === 0 && tasks.length === 0 && (
+                    <p className="missed-subject__empty">Nothing recorded for this lesson.</p>
+                  )}
+                  
+                  {lessons.map(lesson => (
+                    <p key={lesson.id} className="missed-subject__lesson">
+                      <span aria-hidden="true">📓</span> {[lesson.topic, lesson.notes].filter(Boolean).join(' – ')}
+                    </p>
+                  ))}
+                  
+                  {tasks.map(task => (
+                    <p 
+                      key={task.id} 
+                      className={`missed-subject__task ${task.completed ? 'missed-subject__task--done' : ''}`}
+                    >
+                      <span aria-hidden="true">{task.completed ? '✅' : '📝'}</span> {task.description}
+                    </p>
+                  ))}
+                </li>
+              ))}
+            </ul>
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default MissedWorkPanel;
@@ -0,0 +1,44 @@
+/**
+ * AuthGate
+ * 
+ * Shows the board only to a signed-in account with a profile. Everyone else
+ * gets the sign-in screen, and an account that is not linked to a student
+ * yet is told how to fix that instead of seeing an empty board.
+ */
+
+import React, { useContext } from 'react';
+import { AuthContext } from '../../context/AuthContext';
+import SignInScreen from './SignInScreen';
+
+function AuthGate({ children }) {
+  const { user, profile, loading, signOut } = useContext(AuthContext);
+  
+  if (loading) {
+    return <div className="auth-screen"><p className="auth-screen__hint">Loading…</p></div>;
+  }
+  
+  if (!user) {
+    return <SignInScreen />;
+  }
+  
+  if (!profile || !(profile.student_ids || []).length) {
+    return (
+      <div className="auth-screen">
+        <div className="auth-card">
+          <h1 className="auth-card__title">Almost there</h1>
+          <p className="auth-screen__hint">
+            {user.email || 'This account'} is not linked to a student yet. A parent can link it
+            with <code>questboard-scraper users add-parent</code>.
+          </p>
+          <button type="button" className="button button--secondary" onClick={signOut}>
+            Sign out
+          </button>
+        </div>
+      </div>
+    );
+  }
+  
+  return children;
+}
+
+export default AuthGate;
@@ -0,0 +1,139 @@
+/**
+ * SignInScreen
+ * 
+ * Sign-in for the two kinds of users:
+ * - A child on their own tablet types a PIN on a big keypad
+ * - A parent asks for a sign-in link by email
+ * 
+ * The PIN keypad is shown when a parent has handed this tablet to a child
+ * (see AccountMenu); otherwise only the email form is available.
+ */
+
+import React, { useContext, useState } from 'react';
+import { AuthContext } from '../../context/AuthContext';
+
+const KEYPAD_DIGITS = ['1', '2', '3', '4', '5', '6', '7', '8', '9'];
+const MAX_PIN_LENGTH = 8;
+
+function PinSignIn({ student, onUseEmail }) {
+  const { signInChild, error } = useContext(AuthContext);
+  const [pin, setPin] = useState('');
+  const [isSigningIn, setIsSigningIn] = useState(false);
+  
+  const addDigit = (digit) => setPin(prevPin => (prevPin + digit).slice(0, MAX_PIN_LENGTH));
+  
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSigningIn(true);
+    const ok = await signInChild(pin);
+    setIsSigningIn(false);
+    if (!ok) setPin('');
+  };
+  
+  return (
+    <form className="auth-card" onSubmit={handleSubmit}>
+      <h1 className="auth-card__title">Hi {student.name}! 👋</h1>
+      <p className="auth-screen__hint">Type your PIN</p>
+      
+      <input
+        className="input auth-pin__input"
+        type="password"
+        inputMode="numeric"
+        autoComplete="off"
+        aria-label="PIN"
+        value={pin}
+        onChange={(event) => setPin(event.target.value.replace(/\D/g, '').slice(0, MAX_PIN_LENGTH))}
+      />
+      
+      <div className="auth-pin__keypad">
+        {KEYPAD_DIGITS.map(digit => (
+          <button key={digit} type="button" className="button button--secondary auth-pin__key" onClick={() => addDigit(digit)}>
+            {digit}
+          </button>
+        ))}
+        <button type="button" className="button button--ghost auth-pin__key" onClick={() => setPin('')} aria-label="Clear">
+          ✕
+        </button>
+        <button type="button" className="button button--secondary auth-pin__key" onClick={() => addDigit('0')}>
+          0
+        </button>
+        <button type="button" className="button button--ghost auth-pin__key" onClick={() => setPin(pin.slice(0, -1))} aria-label="Delete last digit">
+          ⌫
+        </button>
+      </div>
+      
+      {error && <div className="task-container__error" role="alert">{error}</div>}
+      
+      <button type="submit" className="button button--primary button--lg button--full" disabled={pin.length < 4 || isSigningIn}>
+        {isSigningIn ? 'Signing in…' : 'Go!'}
+      </button>
+      <button type="button" className="button button--link" onClick={onUseEmail}>
+        I&apos;m a grown-up
+      </button>
+    </form>
+  );
+}
+
+function EmailLinkSignIn({ onUsePin }) {
+  const { sendParentLink, error } = useContext(AuthContext);
+  const [email, setEmail] = useState('');
+  const [sentTo, setSentTo] = useState(null);
+  
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (await sendParentLink(email.trim())) {
+      setSentTo(email.trim());
+    }
+  };
+  
+  return (
+    <form className="auth-card" onSubmit={handleSubmit}>
+      <h1 className="auth-card__title">Sign in</h1>
+      {sentTo ? (
+        <p className="auth-screen__hint">
+          We sent a sign-in link to <strong>{sentTo}</strong>. Open it on this device to continue.
+        </p>
+      ) : (
+        <>
+          <p className="auth-screen__hint">Parents get a sign-in link by email.</p>
+          <label className="auth-card__label" htmlFor="sign-in-email">Email</label>
+          <input
+            id="sign-in-email"
+            className="input"
+            type="email"
+            autoComplete="email"
+            required
+            value={email}
+            onChange={(event) => setEmail(event.target.value)}
+          />
+          {error && <div className="task-container__error" role="alert">{error}</div>}
+          <button type="submit" className="button button--primary button--full" disabled={!email.trim()}>
+            Send sign-in link
+          </button>
+        </>
+      )}
+      {onUsePin && (
+        <button type="button" className="button button--link" onClick={onUsePin}>
+          Back to PIN
+        </button>
+      )}
+    </form>
+  );
+}
+
+function SignInScreen() {
+  const { deviceStudent } = useContext(AuthContext);
+  const [useEmail, setUseEmail] = useState(false);
+  
+  return (
+    <div className="auth-screen">
+      {deviceStudent && !useEmail ? (
+        <PinSignIn student={deviceStudent} onUseEmail={() => setUseEmail(true)} />
+      ) : (
+        <EmailLinkSignIn onUsePin={deviceStudent ? () => setUseEmail(false) : null} />
+      )}
+    </div>
+  );
+}
+
+export default SignInScreen;
@@ -0,0 +1,41 @@
+/**
+ * StudentGate
+ *
+ * Shows the board only once the student it is for has been found. The rules
+ * only let an account read its own students' data, so without a student
+ * there is nothing the board could load; the account is told so instead.
+ */
+
+import React, { useContext } from 'react';
+import { AuthContext } from '../../context/AuthContext';
+import { StudentContext } from '../../context/StudentContext';
+
+function StudentGate({ children }) {
+  const { signOut } = useContext(AuthContext);
+  const { activeStudentId, loading, error } = useContext(StudentContext);
+
+  if (loading) {
+    return <div className="auth-screen"><p className="auth-screen__hint">Loading…</p></div>;
+  }
+
+  if (!activeStudentId) {
+    return (
+      <div className="auth-screen">
+        <div className="auth-card">
+          <h1 className="auth-card__title">Student not found</h1>
+          <p className="auth-screen__hint">
+            {error || 'The students linked to this account have not been synced from Wilma yet.'} Run
+            a sync with <code>questboard-scraper sync</code>, then reload.
+          </p>
+          <button type="button" className="button button--secondary" onClick={signOut}>
+            Sign out
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return children;
+}
+
+export default StudentGate;
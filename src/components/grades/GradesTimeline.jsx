@@ -0,0 +1,82 @@
+/**
+ * GradesTimeline
+ * 
+ * A collapsible container showing exam grades per subject in chronological
+ * order, shown next to the archive so finished exams and their results can be
+ * looked at together.
+ * 
+ * Designed for conversations at home about progress: one row per subject,
+ * grades read left to right from oldest to newest, with the subject average.
+ */
+
+import React, { useState } from 'react';
+import { useGrades } from '../../hooks/useGrades';
+import { formatDate } from '../../utils/dateUtils';
+
+// Color band for a numeric grade
+function getGradeLevel(value) {
+  if (value === null) return 'other';
+  if (value >= 9) return 'high';
+  if (value >= 7) return 'mid';
+  return 'low';
+}
+
+function GradesTimeline() {
+  const { grades, gradesBySubject, isLoading, error } = useGrades();
+  const [isExpanded, setIsExpanded] = useState(false);
+  
+  // Nothing to show until the scraper has stored a grade
+  if (isLoading || (!error && grades.length === 0)) {
+    return null;
+  }
+  
+  return (
+    <div className="task-container archive-container grades-container">
+      <button 
+        className="container-toggle" 
+        onClick={() => setIsExpanded(!isExpanded)}
+        aria-expanded={isExpanded}
+        aria-controls="grades-content"
+      >
+        <div className={`toggle-content ${isExpanded ? 'expanded' : ''}`}>
+          <span className="toggle-title">📈 Grades</span>
+          <span className="toggle-icon">{isExpanded ? '▼' : '▲'}</span>
+        </div>
+        <p>{grades.length} graded exams</p>
+      </button>
+      
+      <div id="grades-content" className={`archive-content ${isExpanded ? 'visible' : ''}`}>
+        {error && <div className="task-container__error">{error}</div>}
+        
+        {gradesBySubject.map(({ subject, grades: subjectGrades, average }) => (
+          <section key={subject} className="grades-subject">
+            <div className="grades-subject__header">
+              <span className={`subject-pill subject-${subject.toLowerCase()}`}>{subject}</span>
+              {average !== null && (
+                <span className="grades-subject__average">Average {average.toFixed(1)}</span>
+              )}
+            </div>
+            
+            <ol className="grades-timeline">
+              {subjectGrades.map(grade => (
+                <li 
+                  key={grade.id} 
+                  className={`grades-timeline__item grades-timeline__item--${getGradeLevel(grade.value)}`}
+                  title={grade.description}
+                >
+                  <span className="grades-timeline__grade">{grade.grade}</span>
+                  <span className="grades-timeline__date">
+                    {grade.date ? formatDate(grade.date, { month: 'short', day: 'numeric' }) : 'No date'}
+                  </span>
+                  <span className="grades-timeline__caption">{grade.topic || grade.description}</span>
+                </li>
+              ))}
+            </ol>
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default GradesTimeline;
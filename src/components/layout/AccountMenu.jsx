@@ -0,0 +1,46 @@
+import React, { useContext } from 'react';
+import { AuthContext } from '../../context/AuthContext';
+import { StudentContext } from '../../context/StudentContext';
+
+/**
+ * AccountMenu component - Shows who is signed in, with sign-out.
+ * A parent can also hand the tablet to a child: the tablet then signs out
+ * and asks that child for their PIN from then on.
+ */
+function AccountMenu() {
+  const { user, profile, isParent, signOut, setDeviceStudent } = useContext(AuthContext);
+  const { students } = useContext(StudentContext);
+
+  const handleHandOver = async (event) => {
+    const student = students.find(s => s.id === event.target.value);
+    if (!student) return;
+    setDeviceStudent(student);
+    await signOut();
+  };
+
+  return (
+    <div className="account-menu">
+      <span className="account-menu__name">
+        {isParent ? '👤' : '🧒'} {profile?.name || user?.email || 'Signed in'}
+      </span>
+      {isParent && students.length > 0 && (
+        <select
+          className="input account-menu__handover"
+          aria-label="Hand this tablet to a child"
+          value=""
+          onChange={handleHandOver}
+        >
+          <option value="" disabled>Hand tablet to…</option>
+          {students.map(student => (
+            <option key={student.id} value={student.id}>{student.name || student.id}</option>
+          ))}
+        </select>
+      )}
+      <button type="button" className="button button--ghost button--sm" onClick={signOut}>
+        Sign out
+      </button>
+    </div>
+  );
+}
+
+export default AccountMenu;
@@ -1,24 +1,36 @@
-import React from 'react';
+import React, { useContext } from 'react';
 import { getDayName } from '../../utils/dateUtils';
+import { StudentContext } from '../../context/StudentContext';
+import StudentSwitcher from './StudentSwitcher';
+import SyncStatus from './SyncStatus';
+import ConnectionStatus from './ConnectionStatus';
+import AccountMenu from './AccountMenu';
 
 /**
- * AppHeader component - Displays the app title and current date
+ * AppHeader component - Displays the app title, current date, Wilma sync and connection status
  * Optimized for ADHD/autism users with clear visual hierarchy
  */
 function AppHeader() {
+  const { activeStudent } = useContext(StudentContext);
+
   // Get current date information
   const today = new Date();
   const dayName = getDayName();
   const formattedDate = today.toLocaleDateString('en-US', { month: 'long', day: 'numeric' });
+  const title = activeStudent?.name ? `${activeStudent.name}'s Task Board` : 'Task Board';
 
   return (
     <header className="app-header">
       <div className="header-content">
-        <h1 className="app-title">Nuno's Task Board</h1>
+        <h1 className="app-title">{title}</h1>
         <p className="current-date">{dayName}, {formattedDate}</p>
+        <SyncStatus />
+        <ConnectionStatus />
       </div>
+      <StudentSwitcher />
+      <AccountMenu />
     </header>
   );
 }
 
-export default AppHeader;
\ No newline at end of file
+export default AppHeader;
@@ -0,0 +1,33 @@
+/**
+ * ConnectionStatus
+ *
+ * Says whether the board updates live. When the tablet is offline or the
+ * connection is coming back, the tasks shown are the ones saved on the
+ * device and changes made elsewhere appear once it is live again.
+ */
+
+import React, { useContext } from 'react';
+import { TaskContext } from '../../context/TaskContext';
+import { CONNECTION } from '../../hooks/useConnectionState';
+
+const LABELS = {
+  [CONNECTION.LIVE]: { icon: '🟢', text: 'Live' },
+  [CONNECTION.RECONNECTING]: { icon: '⏳', text: 'Reconnecting…' },
+  [CONNECTION.OFFLINE]: { icon: '📴', text: 'Offline – showing the tasks saved on this tablet' }
+};
+
+function ConnectionStatus() {
+  const { connection, loading } = useContext(TaskContext);
+
+  if (loading) return null;
+
+  const { icon, text } = LABELS[connection];
+
+  return (
+    <p className={`connection-status connection-status--${connection}`} role="status">
+      <span aria-hidden="true">{icon}</span> {text}
+    </p>
+  );
+}
+
+export default ConnectionStatus;
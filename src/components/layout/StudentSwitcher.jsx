@@ -0,0 +1,34 @@
+import React, { useContext } from 'react';
+import { StudentContext } from '../../context/StudentContext';
+
+/**
+ * StudentSwitcher component - Lets siblings sharing a parent account
+ * switch the board between each other's tasks.
+ * Renders nothing when there is only one student.
+ */
+function StudentSwitcher() {
+  const { students, activeStudentId, setActiveStudentId } = useContext(StudentContext);
+
+  if (students.length < 2) return null;
+
+  return (
+    <div className="student-switcher" role="group" aria-label="Choose student">
+      {students.map(student => {
+        const isActive = student.id === activeStudentId;
+        return (
+          <button
+            key={student.id}
+            type="button"
+            className={`student-switcher__option ${isActive ? 'student-switcher__option--active' : ''}`}
+            onClick={() => setActiveStudentId(student.id)}
+            aria-pressed={isActive}
+          >
+            {student.name || student.id}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+export default StudentSwitcher;
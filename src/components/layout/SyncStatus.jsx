@@ -0,0 +1,48 @@
+/**
+ * SyncStatus
+ * 
+ * A small line in the header saying when the board was last synced with
+ * Wilma, with a warning when that is too long ago or the latest run failed,
+ * so nobody relies on an out-of-date board without knowing it.
+ */
+
+import React from 'react';
+import { useSyncStatus } from '../../hooks/useSyncStatus';
+
+// "today 15:02", "yesterday 19:01" or "Mon 3 Mar 07:00"
+function formatSyncTime(isoTime) {
+  const time = new Date(isoTime);
+  const clock = time.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+  
+  const yesterday = new Date();
+  yesterday.setDate(yesterday.getDate() - 1);
+  if (time.toDateString() === new Date().toDateString()) return `today ${clock}`;
+  if (time.toDateString() === yesterday.toDateString()) return `yesterday ${clock}`;
+  
+  return `${time.toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short' })} ${clock}`;
+}
+
+function SyncStatus() {
+  const { lastRun, lastSuccess, isStale, isLoading, error } = useSyncStatus();
+  
+  // Without the audit log there is nothing reliable to say
+  if (isLoading || error) return null;
+  
+  const lastFailed = lastRun?.status === 'failed';
+  const syncedAt = lastSuccess?.finished_at || lastSuccess?.started_at;
+  const text = syncedAt ? `Synced with Wilma ${formatSyncTime(syncedAt)}` : 'Not synced with Wilma yet';
+  
+  return (
+    <p
+      className={`sync-status ${isStale || lastFailed ? 'sync-status--warning' : ''}`}
+      role="status"
+      title={lastFailed ? lastRun.errors?.map(issue => issue.message).join('\n') : undefined}
+    >
+      <span aria-hidden="true">{isStale || lastFailed ? '⚠️' : '🔄'}</span> {text}
+      {isStale && syncedAt && ' – the board may be out of date'}
+      {lastFailed && !isStale && ' – the latest sync failed'}
+    </p>
+  );
+}
+
+export default SyncStatus;
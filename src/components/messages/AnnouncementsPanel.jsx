@@ -0,0 +1,112 @@
+/**
+ * AnnouncementsPanel
+ * 
+ * A collapsible feed of the active student's Wilma messages. Trip notices and
+ * assignments often arrive as messages instead of homework, so any message can
+ * be put on the board as a task with one tap.
+ * 
+ * Opening a message marks it read; it can be marked unread again to keep it
+ * on the family's radar. Only parents can put a message on the board.
+ */
+
+import React, { useContext, useState } from 'react';
+import { useMessages } from '../../hooks/useMessages';
+import { AuthContext } from '../../context/AuthContext';
+import { formatDate } from '../../utils/dateUtils';
+
+function AnnouncementsPanel() {
+  const { messages, unreadCount, setRead, promoteToTask, isLoading, error } = useMessages();
+  const { isParent } = useContext(AuthContext);
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [openMessageId, setOpenMessageId] = useState(null);
+  
+  // Nothing to show until the scraper has stored a message
+  if (isLoading || (!error && messages.length === 0)) {
+    return null;
+  }
+  
+  // Open or close a message, marking it read when it is opened
+  const handleOpen = (message) => {
+    if (openMessageId === message.id) {
+      setOpenMessageId(null);
+      return;
+    }
+    setOpenMessageId(message.id);
+    if (!message.read) {
+      setRead(message.id, true);
+    }
+  };
+  
+  return (
+    <div className="task-container archive-container announcements-container">
+      <button 
+        className="container-toggle" 
+        onClick={() => setIsExpanded(!isExpanded)}
+        aria-expanded={isExpanded}
+        aria-controls="announcements-content"
+      >
+        <div className={`toggle-content ${isExpanded ? 'expanded' : ''}`}>
+          <span className="toggle-title">📬 Announcements</span>
+          <span className="toggle-icon">{isExpanded ? '▼' : '▲'}</span>
+        </div>
+        <p>{unreadCount > 0 ? `${unreadCount} unread` : 'All read'}</p>
+      </button>
+      
+      <div id="announcements-content" className={`archive-content ${isExpanded ? 'visible' : ''}`}>
+        {error && <div className="task-container__error">{error}</div>}
+        
+        <ul className="announcements">
+          {messages.map(message => {
+            const isOpen = openMessageId === message.id;
+            
+            return (
+              <li 
+                key={message.id} 
+                className={`announcement ${message.read ? '' : 'announcement--unread'}`}
+              >
+                <button 
+                  className="announcement__header" 
+                  onClick={() => handleOpen(message)}
+                  aria-expanded={isOpen}
+                >
+                  <span className="announcement__subject">{message.subject || '(no subject)'}</span>
+                  <span className="announcement__meta">
+                    {message.sender}
+                    {message.sent_at && ` · ${formatDate(message.sent_at.split('T')[0], { month: 'short', day: 'numeric' })}`}
+                  </span>
+                </button>
+                
+                {isOpen && (
+                  <div className="announcement__details">
+                    <p className="announcement__body">{message.body || 'No message text available.'}</p>
+                    
+                    <div className="announcement__actions">
+                      {message.promoted_task_id ? (
+                        <span className="badge">✓ On the board</span>
+                      ) : isParent && (
+                        <button 
+                          className="button button--primary button--sm" 
+                          onClick={() => promoteToTask(message)}
+                        >
+                          ➕ Add as task
+                        </button>
+                      )}
+                      <button 
+                        className="button button--ghost button--sm" 
+                        onClick={() => setRead(message.id, !message.read)}
+                      >
+                        {message.read ? 'Mark unread' : 'Mark read'}
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+export default AnnouncementsPanel;
@@ -0,0 +1,72 @@
+/**
+ * SubjectReviewQueue
+ * 
+ * Lists Wilma course names the scraper could not map to a subject so a parent
+ * can pick one. Until then the course's tasks show up under the raw Wilma name.
+ * 
+ * Hidden when nothing is waiting for review, and from children: mapping
+ * courses is a setting only parents may change.
+ */
+
+import React, { useContext, useState } from 'react';
+import { useSubjectAliases } from '../../hooks/useSubjectAliases';
+import { AuthContext } from '../../context/AuthContext';
+
+function SubjectReviewQueue() {
+  const { pending, knownSubjects, assign, isLoading, error } = useSubjectAliases();
+  const { isParent } = useContext(AuthContext);
+  const [choices, setChoices] = useState({});
+  
+  if (!isParent || isLoading || (!error && pending.length === 0)) {
+    return null;
+  }
+  
+  const handleSubmit = (event, alias) => {
+    event.preventDefault();
+    assign(alias.id, choices[alias.id] || '');
+  };
+  
+  return (
+    <section className="task-container subject-review" aria-labelledby="subject-review-title">
+      <h2 id="subject-review-title" className="subject-review__title">🏷️ New courses to sort</h2>
+      <p className="subject-review__hint">
+        Wilma listed courses we don&apos;t recognise yet. Choose the subject their tasks belong to.
+      </p>
+      
+      {error && <div className="task-container__error">{error}</div>}
+      
+      <datalist id="subject-review-subjects">
+        {knownSubjects.map(subject => <option key={subject} value={subject} />)}
+      </datalist>
+      
+      <ul className="subject-review__list">
+        {pending.map(alias => (
+          <li key={alias.id} className="subject-review__item">
+            <form className="subject-review__form" onSubmit={(event) => handleSubmit(event, alias)}>
+              <label className="subject-review__course" htmlFor={`subject-review-${alias.id}`}>
+                {alias.value}
+              </label>
+              <input
+                id={`subject-review-${alias.id}`}
+                className="input subject-review__input"
+                list="subject-review-subjects"
+                placeholder="Subject"
+                value={choices[alias.id] || ''}
+                onChange={(event) => setChoices({ ...choices, [alias.id]: event.target.value })}
+              />
+              <button
+                type="submit"
+                className="button button--primary button--sm"
+                disabled={!(choices[alias.id] || '').trim()}
+              >
+                Save
+              </button>
+            </form>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+export default SubjectReviewQueue;
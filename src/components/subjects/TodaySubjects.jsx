@@ -12,7 +12,7 @@ import React from 'react';
 import { useSubjects } from '../../hooks/useSubjects';
 
 function TodaySubjects() {
-  const { todaySubjects, isLoading, error } = useSubjects();
+  const { todaySubjects, todayClosure, isLoading, error } = useSubjects();
   
   if (isLoading) {
     return <div className="loading">Loading today's classes...</div>;
@@ -36,7 +36,10 @@ function TodaySubjects() {
           ))}
         </div>
       ) : (
-        <p>No school today</p>
+        <p>
+          No school today
+          {todayClosure && todayClosure !== 'Weekend' && ` – ${todayClosure}`}
+        </p>
       )}
     </div>
   );
@@ -12,7 +12,7 @@ import React from 'react';
 import { useSubjects } from '../../hooks/useSubjects';
 
 function TomorrowSubjects() {
-  const { tomorrowSubjects, isLoading, error } = useSubjects();
+  const { tomorrowSubjects, tomorrowClosure, isLoading, error } = useSubjects();
   
   if (isLoading) {
     return <div className="loading">Loading tomorrow's classes...</div>;
@@ -36,7 +36,10 @@ function TomorrowSubjects() {
           ))}
         </div>
       ) : (
-        <p>No school tomorrow</p>
+        <p>
+          No school tomorrow
+          {tomorrowClosure && tomorrowClosure !== 'Weekend' && ` – ${tomorrowClosure}`}
+        </p>
       )}
     </div>
   );
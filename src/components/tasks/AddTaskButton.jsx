@@ -0,0 +1,53 @@
+/**
+ * AddTaskButton
+ *
+ * Floating action button that opens the add-a-task form in a dialog.
+ * Only parents can add tasks (see firestore.rules), so children don't see it.
+ */
+
+import React, { useContext, useEffect, useState } from 'react';
+import { AuthContext } from '../../context/AuthContext';
+import AddTaskForm from './AddTaskForm';
+
+function AddTaskButton() {
+  const { isParent } = useContext(AuthContext);
+  const [isOpen, setIsOpen] = useState(false);
+
+  // Close the dialog with Escape
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') setIsOpen(false);
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen]);
+
+  if (!isParent) return null;
+
+  return (
+    <>
+      <button
+        type="button"
+        className="add-task-fab"
+        onClick={() => setIsOpen(true)}
+        aria-label="Add a task"
+        aria-haspopup="dialog"
+      >
+        <span aria-hidden="true">+</span>
+      </button>
+
+      {isOpen && (
+        <div className="add-task-dialog" role="dialog" aria-modal="true" aria-label="Add a task">
+          <div className="add-task-dialog__backdrop" onClick={() => setIsOpen(false)} />
+          <div className="add-task-dialog__panel">
+            <AddTaskForm onClose={() => setIsOpen(false)} />
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default AddTaskButton;
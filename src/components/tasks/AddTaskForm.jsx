@@ -0,0 +1,153 @@
+/**
+ * AddTaskForm
+ *
+ * Two short steps for adding a task by hand, with as little typing as
+ * possible:
+ * 1. What - a description and a subject chip
+ * 2. When - quick due dates (today, tomorrow, the subject's next class) or
+ *    any date from the date picker
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onClose - Called when the task was added or the form cancelled
+ */
+
+import React, { useContext, useState } from 'react';
+import { TaskContext } from '../../context/TaskContext';
+import { useSubjects } from '../../hooks/useSubjects';
+import { formatDate, getTodayISO, getTomorrowISO } from '../../utils/dateUtils';
+import { MAX_DESCRIPTION_LENGTH, validateNewTask } from '../../utils/taskValidation';
+
+// Subject for tasks outside the timetable, such as chores
+const OTHER_SUBJECT = 'Other';
+
+const STEP = {
+  WHAT: 'what',
+  WHEN: 'when'
+};
+
+function AddTaskForm({ onClose }) {
+  const { createTask } = useContext(TaskContext);
+  const { allSubjects, getNextLessonDate } = useSubjects();
+  const [step, setStep] = useState(STEP.WHAT);
+  const [description, setDescription] = useState('');
+  const [subject, setSubject] = useState('');
+  const [dueDate, setDueDate] = useState('');
+  const [showErrors, setShowErrors] = useState(false);
+
+  const errors = validateNewTask({ description, subject, due_date: dueDate });
+  const subjectNames = [...new Set(allSubjects.map(s => s.name).filter(Boolean)), OTHER_SUBJECT];
+  const nextLessonDate = subject !== OTHER_SUBJECT ? getNextLessonDate(subject) : null;
+
+  const quickDates = [
+    { label: 'Today', date: getTodayISO() },
+    { label: 'Tomorrow', date: getTomorrowISO() },
+    nextLessonDate && { label: `Next ${subject} class`, date: nextLessonDate }
+  ].filter(Boolean);
+
+  const handleNext = (event) => {
+    event.preventDefault();
+    if (errors.description || errors.subject) {
+      setShowErrors(true);
+      return;
+    }
+    setShowErrors(false);
+    setStep(STEP.WHEN);
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (Object.keys(errors).length > 0) {
+      setShowErrors(true);
+      return;
+    }
+
+    // The task shows on the board straight away, even before it is saved
+    createTask({ description, subject, due_date: dueDate });
+    onClose();
+  };
+
+  if (step === STEP.WHAT) {
+    return (
+      <form className="add-task" onSubmit={handleNext} noValidate>
+        <h2 className="add-task__title">What needs to be done?</h2>
+
+        <label className="add-task__label" htmlFor="add-task-description">Task</label>
+        <textarea
+          id="add-task-description"
+          className="input add-task__description"
+          rows={3}
+          maxLength={MAX_DESCRIPTION_LENGTH}
+          value={description}
+          onChange={(event) => setDescription(event.target.value)}
+          placeholder="e.g. Pack the gym bag"
+          autoFocus
+        />
+        {showErrors && errors.description && <p className="add-task__error">{errors.description}</p>}
+
+        <span className="add-task__label" id="add-task-subject">Subject</span>
+        <div className="add-task__chips" role="radiogroup" aria-labelledby="add-task-subject">
+          {subjectNames.map(name => (
+            <button
+              key={name}
+              type="button"
+              role="radio"
+              aria-checked={subject === name}
+              className={`add-task__chip ${subject === name ? 'add-task__chip--selected' : ''}`}
+              onClick={() => setSubject(name)}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+        {showErrors && errors.subject && <p className="add-task__error">{errors.subject}</p>}
+
+        <div className="add-task__actions">
+          <button type="button" className="button button--ghost" onClick={onClose}>Cancel</button>
+          <button type="submit" className="button button--primary">Next</button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <form className="add-task" onSubmit={handleSubmit} noValidate>
+      <h2 className="add-task__title">When is it due?</h2>
+      <p className="add-task__summary">{subject}: {description.trim()}</p>
+
+      <div className="add-task__chips">
+        {quickDates.map(({ label, date }) => (
+          <button
+            key={label}
+            type="button"
+            aria-pressed={dueDate === date}
+            className={`add-task__chip ${dueDate === date ? 'add-task__chip--selected' : ''}`}
+            onClick={() => setDueDate(date)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <label className="add-task__label" htmlFor="add-task-due-date">Or pick a date</label>
+      <input
+        id="add-task-due-date"
+        className="input"
+        type="date"
+        min={getTodayISO()}
+        value={dueDate}
+        onChange={(event) => setDueDate(event.target.value)}
+      />
+      {dueDate && !errors.due_date && (
+        <p className="add-task__hint">Due {formatDate(dueDate, { weekday: 'long', month: 'long', day: 'numeric' })}</p>
+      )}
+      {showErrors && errors.due_date && <p className="add-task__error">{errors.due_date}</p>}
+
+      <div className="add-task__actions">
+        <button type="button" className="button button--ghost" onClick={() => setStep(STEP.WHAT)}>Back</button>
+        <button type="submit" className="button button--primary">Add task</button>
+      </div>
+    </form>
+  );
+}
+
+export default AddTaskForm;
@@ -0,0 +1,81 @@
+/**
+ * HomeworkSteps
+ * 
+ * The pages, exercises and materials the scraper found in a homework text,
+ * shown as a checklist so the homework can be done one small chunk at a time
+ * instead of as one wall of text. Ticks are saved on the task (parts_done).
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.taskId - ID of the task the steps belong to
+ * @param {Array} props.parts - The task's parts ({ id, type, label, book? })
+ * @param {Array<string>} [props.partsDone] - IDs of the ticked parts
+ * @param {boolean} [props.disabled] - Show the steps read-only (e.g. completed tasks)
+ */
+
+import React, { useContext } from 'react';
+import { TaskContext } from '../../context/TaskContext';
+
+// Icon and wording for each kind of step
+function describePart(part) {
+  switch (part.type) {
+    case 'pages': {
+      const pages = part.label.replace('-', '–');
+      const isRange = part.label.includes('-');
+      return {
+        icon: '📖',
+        text: part.book
+          ? `${part.book}, ${isRange ? 'pages' : 'page'} ${pages}`
+          : `${isRange ? 'Pages' : 'Page'} ${pages}`
+      };
+    }
+    case 'exercise':
+      return { icon: '✏️', text: `Exercise ${part.label.replace('-', '–')}` };
+    case 'material':
+      return { icon: '🎒', text: part.label };
+    default:
+      return { icon: '•', text: part.label };
+  }
+}
+
+function HomeworkSteps({ taskId, parts, partsDone = [], disabled = false }) {
+  const { setPartDone } = useContext(TaskContext);
+  
+  if (!parts || parts.length === 0) return null;
+  
+  const doneCount = parts.filter(part => partsDone.includes(part.id)).length;
+  
+  return (
+    <div className="task-card__steps">
+      <div className="task-card__steps-progress">
+        {doneCount} of {parts.length} steps done
+      </div>
+      
+      <ul className="task-card__steps-list">
+        {parts.map(part => {
+          const { icon, text } = describePart(part);
+          const isDone = partsDone.includes(part.id);
+          
+          return (
+            <li key={part.id} className={`task-card__step ${isDone ? 'task-card__step--done' : ''}`}>
+              <label className="checkbox" onClick={(e) => e.stopPropagation()}>
+                <input
+                  type="checkbox"
+                  className="checkbox__input"
+                  checked={isDone}
+                  disabled={disabled}
+                  onChange={(e) => setPartDone(taskId, part.id, e.target.checked)}
+                />
+                <span className="checkbox__mark"></span>
+                <span className="task-card__step-text">
+                  <span aria-hidden="true">{icon}</span> {text}
+                </span>
+              </label>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default HomeworkSteps;
@@ -0,0 +1,59 @@
+/**
+ * LessonNotes
+ * 
+ * Shows what was covered in class on the day a homework was given, taken
+ * from the Wilma lesson diary, so the child can see what the homework
+ * relates to. The notes are only loaded when opened.
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.studentId - Wilma student number of the task
+ * @param {string} props.subject - Subject of the task
+ * @param {string} props.date - ISO date the homework was given
+ */
+
+import React, { useState } from 'react';
+import { useLessons } from '../../hooks/useLessons';
+
+function LessonNotes({ studentId, subject, date }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const { lessons, isLoading, error } = useLessons(studentId, subject, date, isOpen);
+  
+  if (!studentId || !date) return null;
+  
+  const handleToggle = (e) => {
+    e.stopPropagation();
+    setIsOpen(open => !open);
+  };
+  
+  return (
+    <div className="task-card__lesson">
+      <button
+        type="button"
+        className="task-card__lesson-toggle"
+        onClick={handleToggle}
+        aria-expanded={isOpen}
+      >
+        <span aria-hidden="true">📓</span> From the lesson
+      </button>
+      
+      {isOpen && (
+        <div className="task-card__lesson-notes">
+          {isLoading && <p>Loading…</p>}
+          {error && <p className="task-card__lesson-empty">{error}</p>}
+          {!isLoading && !error && lessons.length === 0 && (
+            <p className="task-card__lesson-empty">No lesson notes for this day.</p>
+          )}
+          {lessons.map(lesson => (
+            <div key={lesson.id} className="task-card__lesson-entry">
+              {lesson.topic && <p className="task-card__lesson-topic">{lesson.topic}</p>}
+              {lesson.notes && <p className="task-card__lesson-text">{lesson.notes}</p>}
+              {lesson.teacher && <p className="task-card__lesson-teacher">{lesson.teacher}</p>}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LessonNotes;
@@ -2,6 +2,17 @@
 import React, { useState, useRef, useEffect, useMemo } from 'react';
 import { getRelativeTextFromISODate, isToday, isTomorrow } from '../../utils/dateUtils';
 import { CONTAINER_TYPE } from '../../hooks/useContainerTasks';
+import TeacherUpdateBadge from './TeacherUpdateBadge';
+import HomeworkSteps from './HomeworkSteps';
+import LessonNotes from './LessonNotes';
+import TaskWriteStatus from './TaskWriteStatus';
+
+// How a homework due date was worked out by the scraper, from most to least certain
+const DUE_DATE_SOURCES = {
+  explicit: { icon: '📌', label: 'Deadline given by the teacher' },
+  schedule: { icon: '🗓️', label: 'Due at the next lesson' },
+  fallback: { icon: '❔', label: 'Estimated due date – no lesson found in the timetable' }
+};
 
 // Create a reusable date formatter to prevent excessive calculation
 const formatDateMemo = new Map();
@@ -46,8 +57,16 @@ const TaskCard = React.memo(function TaskCard({ task, onComplete, containerType
     description,
     date_added,
     due_date,
+    due_date_source,
+    due_date_phrase,
     type,
-    completed
+    completed,
+    withdrawn,
+    last_revision,
+    parts,
+    parts_done,
+    student_id,
+    source_message_id
   } = task;
 
   // State to track animation
@@ -68,6 +87,12 @@ const TaskCard = React.memo(function TaskCard({ task, onComplete, containerType
   
   const { isDueToday, isDueTomorrow, formattedAssignedDate, formattedDueDate } = memoizedDates;
   
+  // Exam dates always come from Wilma, so only homework shows where its date came from
+  const dueDateSource = type !== 'exam' ? DUE_DATE_SOURCES[due_date_source] : null;
+  const dueDateSourceLabel = dueDateSource && (due_date_phrase
+    ? `${dueDateSource.label}: "${due_date_phrase}"`
+    : dueDateSource.label);
+  
   // Handle completion button click with animation
   const handleCompleteClick = (e) => {
     e.preventDefault();
@@ -134,9 +159,10 @@ const TaskCard = React.memo(function TaskCard({ task, onComplete, containerType
     isDueToday && type === 'exam' ? 'task-card--exam-today' : '',
     isDueTomorrow && type === 'exam' ? 'task-card--exam-tomorrow' : '',
     completed ? 'task-card--completed' : '',
+    withdrawn ? 'task-card--withdrawn' : '',
     isDueToday ? 'task-card--due-today' : '',
     isDueTomorrow ? 'task-card--due-tomorrow' : ''
-  ].filter(Boolean).join(' '), [subject, type, isDueToday, isDueTomorrow, completed]);
+  ].filter(Boolean).join(' '), [subject, type, isDueToday, isDueTomorrow, completed, withdrawn]);
 
   return (
     <div className={cardClasses} ref={cardRef}>
@@ -158,6 +184,11 @@ const TaskCard = React.memo(function TaskCard({ task, onComplete, containerType
             {description}
           </div>
           
+          {/* Pages, exercises and materials as tickable sub-steps */}
+          {type !== 'exam' && (
+            <HomeworkSteps taskId={id} parts={parts} partsDone={parts_done} disabled={completed} />
+          )}
+          
           {/* SECONDARY: Subject/categorization - distinctive color, medium emphasis */}
           <div className="task-card__header">
             {type !== 'exam' && <span className={`task-card__subject task-card__subject--${subject.toLowerCase()}`}>
@@ -183,12 +214,34 @@ const TaskCard = React.memo(function TaskCard({ task, onComplete, containerType
             {due_date && (
               <span className={`task-card__due-date ${isDueToday ? 'task-card--due-today' : ''}`}>
                 <span className="task-card__date-label">Due</span> {formattedDueDate}
+                {dueDateSource && (
+                  <span 
+                    className={`task-card__due-source task-card__due-source--${due_date_source}`}
+                    title={dueDateSourceLabel}
+                    aria-label={dueDateSourceLabel}
+                    role="img"
+                  >
+                    {dueDateSource.icon}
+                  </span>
+                )}
               </span>
             )}
           </div>
           
+          {/* Change waiting to be saved, or that could not be saved */}
+          <TaskWriteStatus taskId={id} />
+          
+          {/* Teacher edits detected by the scraper */}
+          <TeacherUpdateBadge revision={last_revision} />
+          
+          {/* Lesson diary of the day the homework was given (not for tasks made from messages) */}
+          {type !== 'exam' && !source_message_id && (
+            <LessonNotes studentId={student_id} subject={subject} date={date_added} />
+          )}
+          
           {/* Completion status visual indicator */}
           {completed && <div className="task-card__completed-stamp">Completed</div>}
+          {withdrawn && !completed && <div className="task-card__withdrawn-stamp">Withdrawn by teacher</div>}
         </div>
       </div>
     </div>
@@ -0,0 +1,55 @@
+/**
+ * TaskWriteStatus
+ *
+ * Shown on a task card while a change to it is waiting to be saved (the
+ * tablet is offline or reconnecting), or when saving it failed and the card
+ * went back to how it was. A failed change can be tried again or dismissed,
+ * without affecting the rest of the board.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.taskId - ID of the task
+ */
+
+import React, { useContext } from 'react';
+import { TaskContext } from '../../context/TaskContext';
+import { CONNECTION } from '../../hooks/useConnectionState';
+
+function TaskWriteStatus({ taskId }) {
+  const { writeStates, connection, retryWrite, dismissWriteError } = useContext(TaskContext);
+  const writeState = writeStates[taskId];
+
+  if (!writeState) return null;
+
+  if (writeState.error) {
+    return (
+      <div className="task-card__write-status task-card__write-status--error" role="alert">
+        <span><span aria-hidden="true">⚠️</span> {writeState.error}</span>
+        <button
+          type="button"
+          className="task-card__write-action"
+          onClick={(e) => { e.stopPropagation(); retryWrite(taskId); }}
+        >
+          Try again
+        </button>
+        <button
+          type="button"
+          className="task-card__write-action"
+          onClick={(e) => { e.stopPropagation(); dismissWriteError(taskId); }}
+        >
+          Dismiss
+        </button>
+      </div>
+    );
+  }
+
+  // Online a write is confirmed within moments; only say so when it waits
+  if (connection === CONNECTION.LIVE) return null;
+
+  return (
+    <div className="task-card__write-status" role="status">
+      <span aria-hidden="true">⏳</span> Saved on this tablet – will sync when back online
+    </div>
+  );
+}
+
+export default TaskWriteStatus;
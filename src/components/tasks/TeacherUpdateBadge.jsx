@@ -0,0 +1,64 @@
+/**
+ * TeacherUpdateBadge
+ * 
+ * A small indicator shown on task cards whose Wilma entry was edited by the
+ * teacher after it was first synced. Tapping it reveals what changed, so a
+ * quietly updated page range or exam topic doesn't go unnoticed.
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.revision - The task's last_revision ({ detected_at, changes })
+ */
+
+import React, { useState } from 'react';
+import { getRelativeTextFromISODate } from '../../utils/dateUtils';
+
+// Human-readable names for the fields the scraper tracks; other changed
+// fields (such as where a due date came from) are bookkeeping and not shown
+const FIELD_LABELS = {
+  description: 'Task',
+  topic: 'Topic',
+  due_date: 'Due',
+  date_added: 'Assigned'
+};
+
+function TeacherUpdateBadge({ revision }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (!revision || !revision.changes) return null;
+
+  const handleToggle = (e) => {
+    e.stopPropagation();
+    setIsOpen(open => !open);
+  };
+
+  return (
+    <div className="task-card__update">
+      <button
+        type="button"
+        className="task-card__update-toggle"
+        onClick={handleToggle}
+        aria-expanded={isOpen}
+      >
+        <span aria-hidden="true">✏️</span> Updated by teacher {getRelativeTextFromISODate(revision.detected_at)}
+      </button>
+      
+      {isOpen && (
+        <dl className="task-card__update-diff">
+          {Object.entries(revision.changes)
+            .filter(([field]) => field in FIELD_LABELS)
+            .map(([field, { before, after }]) => (
+              <div key={field} className="task-card__update-row">
+                <dt>{FIELD_LABELS[field]}</dt>
+                <dd>
+                  <del>{before || '—'}</del>
+                  <ins>{after || '—'}</ins>
+                </dd>
+              </div>
+            ))}
+        </dl>
+      )}
+    </div>
+  );
+}
+
+export default TeacherUpdateBadge;
@@ -0,0 +1,205 @@
+/**
+ * AuthContext.js
+ *
+ * Provides the signed-in account and what it may do.
+ * This context is responsible for:
+ * - Signing parents in with an email link and children with a PIN
+ * - Loading the account's profile (role and linked students) from profiles/{uid}
+ * - Remembering which child a shared tablet belongs to, so the child only
+ *   has to type their PIN
+ *
+ * Profiles are set up with `questboard-scraper users`; the Firestore rules
+ * use the same role to let a child complete tasks while only a parent can
+ * edit, delete or change settings.
+ */
+import React, { createContext, useState, useEffect, useRef } from 'react';
+import {
+  isSignInWithEmailLink,
+  onAuthStateChanged,
+  sendSignInLinkToEmail,
+  signInWithCustomToken,
+  signInWithEmailLink,
+  signOut as firebaseSignOut
+} from 'firebase/auth';
+import { doc, getDoc } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { auth, db, functions } from '../services/firebase';
+
+export const AuthContext = createContext();
+
+/**
+ * Account roles stored in profiles/{uid}.role
+ * @enum {string}
+ */
+export const ROLE = {
+  PARENT: 'parent',
+  CHILD: 'child'
+};
+
+// localStorage key for the email a sign-in link was sent to
+const SIGN_IN_EMAIL_KEY = 'questboard.signInEmail';
+
+// localStorage key for the child this tablet belongs to ({ id, name })
+const DEVICE_STUDENT_KEY = 'questboard.deviceStudent';
+
+function loadDeviceStudent() {
+  try {
+    return JSON.parse(localStorage.getItem(DEVICE_STUDENT_KEY));
+  } catch {
+    return null;
+  }
+}
+
+// Messages for the errors a child can run into when typing a PIN
+function getPinErrorMessage(err) {
+  if (err.code === 'functions/permission-denied') return 'That PIN is not right. Try again!';
+  if (err.code === 'functions/resource-exhausted') return 'Too many tries. Ask a grown-up, or wait 15 minutes.';
+  return 'Could not sign in right now: ' + err.message;
+}
+
+/**
+ * Auth Provider component that tracks the signed-in account
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ * @returns {React.ReactElement} AuthContext Provider
+ */
+export function AuthProvider({ children }) {
+  const [user, setUser] = useState(null);
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [deviceStudent, setDeviceStudentState] = useState(loadDeviceStudent);
+  const handledLinkRef = useRef(false);
+
+  // Finish an email link sign-in when the app is opened from the link
+  useEffect(() => {
+    if (handledLinkRef.current || !isSignInWithEmailLink(auth, window.location.href)) return;
+    handledLinkRef.current = true;
+
+    // Opened on another device than the one that asked for the link
+    const email = localStorage.getItem(SIGN_IN_EMAIL_KEY) ||
+      window.prompt('Please confirm your email address');
+    if (!email) return;
+
+    signInWithEmailLink(auth, email, window.location.href)
+      .then(() => {
+        localStorage.removeItem(SIGN_IN_EMAIL_KEY);
+        // Drop the one-time code from the address bar
+        window.history.replaceState(null, '', window.location.pathname);
+      })
+      .catch(err => {
+        console.error("Error completing sign-in link:", err);
+        setError('This sign-in link has expired or was already used. Ask for a new one.');
+      });
+  }, []);
+
+  // Follow the signed-in account and load its profile
+  useEffect(() => {
+    return onAuthStateChanged(auth, async (nextUser) => {
+      setUser(nextUser);
+      if (!nextUser) {
+        setProfile(null);
+        setLoading(false);
+        return;
+      }
+
+      setLoading(true);
+      try {
+        const profileDoc = await getDoc(doc(db, 'profiles', nextUser.uid));
+        setProfile(profileDoc.exists() ? profileDoc.data() : null);
+        setError(null);
+      } catch (err) {
+        console.error("Error fetching profile:", err);
+        setError("Failed to load your profile: " + err.message);
+        setProfile(null);
+      } finally {
+        setLoading(false);
+      }
+    });
+  }, []);
+
+  /**
+   * Email a parent a sign-in link that opens this app
+   * @param {string} email - Parent's email address
+   * @returns {Promise<boolean>} Success indicator
+   */
+  async function sendParentLink(email) {
+    try {
+      await sendSignInLinkToEmail(auth, email, {
+        url: window.location.origin + window.location.pathname,
+        handleCodeInApp: true
+      });
+      localStorage.setItem(SIGN_IN_EMAIL_KEY, email);
+      setError(null);
+      return true;
+    } catch (err) {
+      console.error("Error sending sign-in link:", err);
+      setError("Failed to send the sign-in link: " + err.message);
+      return false;
+    }
+  }
+
+  /**
+   * Sign the tablet's child in with their PIN
+   * @param {string} pin - PIN set by a parent
+   * @returns {Promise<boolean>} Success indicator
+   */
+  async function signInChild(pin) {
+    if (!deviceStudent) return false;
+
+    try {
+      const childSignIn = httpsCallable(functions, 'childSignIn');
+      const result = await childSignIn({ studentId: deviceStudent.id, pin });
+      await signInWithCustomToken(auth, result.data.token);
+      setError(null);
+      return true;
+    } catch (err) {
+      console.error("Error signing in with PIN:", err);
+      setError(getPinErrorMessage(err));
+      return false;
+    }
+  }
+
+  /**
+   * Sign out of the app
+   * @returns {Promise<void>}
+   */
+  async function signOut() {
+    await firebaseSignOut(auth);
+  }
+
+  /**
+   * Make this tablet a child's, or forget its child with null
+   * @param {{id: string, name: string}|null} student - The child's student
+   */
+  function setDeviceStudent(student) {
+    if (student) {
+      const deviceStudentData = { id: student.id, name: student.name || student.id };
+      localStorage.setItem(DEVICE_STUDENT_KEY, JSON.stringify(deviceStudentData));
+      setDeviceStudentState(deviceStudentData);
+    } else {
+      localStorage.removeItem(DEVICE_STUDENT_KEY);
+      setDeviceStudentState(null);
+    }
+  }
+
+  const role = profile?.role || null;
+
+  return (
+    <AuthContext.Provider value={{
+      user,
+      profile,
+      role,
+      isParent: role === ROLE.PARENT,
+      loading,
+      error,
+      deviceStudent,
+      sendParentLink,
+      signInChild,
+      signOut,
+      setDeviceStudent
+    }}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
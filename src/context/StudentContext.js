@@ -0,0 +1,105 @@
+/**
+ * StudentContext.js
+ *
+ * Provides the list of students and the currently selected student.
+ * This context is responsible for:
+ * - Fetching the students linked to the signed-in account from Firebase
+ * - Remembering the selected student between sessions
+ * - Exposing the selection so task and subject data can be scoped to it
+ */
+import React, { createContext, useState, useEffect, useContext } from 'react';
+import { doc, getDoc } from 'firebase/firestore';
+import { db } from '../services/firebase';
+import { AuthContext } from './AuthContext';
+
+export const StudentContext = createContext();
+
+// localStorage key for the last selected student
+const ACTIVE_STUDENT_KEY = 'questboard.activeStudentId';
+
+/**
+ * Student Provider component that manages the active student
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ * @returns {React.ReactElement} StudentContext Provider
+ */
+export function StudentProvider({ children }) {
+  const [students, setStudents] = useState([]);
+  const [activeStudentId, setActiveStudentIdState] = useState(
+    () => localStorage.getItem(ACTIVE_STUDENT_KEY)
+  );
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { profile } = useContext(AuthContext);
+  const studentIdsKey = (profile?.student_ids || []).join(',');
+
+  // Load the account's students whenever the signed-in profile changes.
+  // The rules only allow reading linked students, one document at a time.
+  useEffect(() => {
+    let isMounted = true;
+
+    async function fetchStudents() {
+      try {
+        setLoading(true);
+        const studentIds = studentIdsKey ? studentIdsKey.split(',') : [];
+        const studentDocs = await Promise.all(
+          studentIds.map(studentId => getDoc(doc(db, 'students', studentId)))
+        );
+        if (!isMounted) return;
+
+        const fetchedStudents = studentDocs
+          .filter(studentDoc => studentDoc.exists())
+          .map(studentDoc => ({ id: studentDoc.id, ...studentDoc.data() }))
+          .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+        setStudents(fetchedStudents);
+
+        // Fall back to the first student if the remembered one is gone
+        setActiveStudentIdState(prevId =>
+          fetchedStudents.some(student => student.id === prevId)
+            ? prevId
+            : (fetchedStudents[0]?.id || null)
+        );
+        setError(null);
+      } catch (err) {
+        if (!isMounted) return;
+        console.error("Error fetching students:", err);
+        setError("Failed to load students: " + err.message);
+      } finally {
+        if (isMounted) {
+          setLoading(false);
+        }
+      }
+    }
+
+    fetchStudents();
+
+    return () => {
+      isMounted = false;
+    };
+  }, [studentIdsKey]);
+
+  /**
+   * Switch the board to another student
+   * @param {string} studentId - ID of the student to show
+   */
+  function setActiveStudentId(studentId) {
+    localStorage.setItem(ACTIVE_STUDENT_KEY, studentId);
+    setActiveStudentIdState(studentId);
+  }
+
+  const activeStudent = students.find(student => student.id === activeStudentId) || null;
+
+  return (
+    <StudentContext.Provider value={{
+      students,
+      activeStudent,
+      activeStudentId,
+      loading,
+      error,
+      setActiveStudentId
+    }}>
+      {children}
+    </StudentContext.Provider>
+  );
+}
@@ -1,35 +1,26 @@
-import { createContext, useState, useEffect } from 'react';
-import { collection, getDocs } from 'firebase/firestore';
-import { db } from '../services/firebase';
+import { createContext, useState, useEffect, useContext } from 'react';
+import { subscribeToSubjects } from '../services/subjects';
+import { StudentContext } from './StudentContext';
 
 export const SubjectContext = createContext();
 
 export function SubjectProvider({ children }) {
   const [subjects, setSubjects] = useState([]);
   const [loading, setLoading] = useState(true);
+  const { activeStudentId, loading: studentsLoading } = useContext(StudentContext);
   
-  // Fetch subjects from Firestore on component mount
+  // Follow the active student's subjects in Firestore
   useEffect(() => {
-    async function fetchSubjects() {
-      try {
-        const subjectsRef = collection(db, 'subjects');
-        const snapshot = await getDocs(subjectsRef);
-        
-        const fetchedSubjects = [];
-        snapshot.forEach(doc => {
-          fetchedSubjects.push({ id: doc.id, ...doc.data() });
-        });
-        
-        setSubjects(fetchedSubjects);
-      } catch (error) {
-        console.error("Error fetching subjects:", error);
-      } finally {
-        setLoading(false);
-      }
-    }
-    
-    fetchSubjects();
-  }, []);
+    if (studentsLoading) return undefined;
+
+    return subscribeToSubjects(activeStudentId, fetchedSubjects => {
+      setSubjects(fetchedSubjects);
+      setLoading(false);
+    }, error => {
+      console.error("Error fetching subjects:", error);
+      setLoading(false);
+    });
+  }, [activeStudentId, studentsLoading]);
   
   // Function to get tomorrow's subjects based on day of week
   function getTomorrowSubjects() {
@@ -3,17 +3,34 @@
  * 
  * Provides task data management for the Quest Board application.
  * This context is responsible for:
- * - Fetching task data from Firebase
+ * - Following the active student's tasks in Firebase with a live listener,
+ *   so syncs and changes made on other devices show up without a reload
  * - Maintaining task state
- * - Providing operations to modify tasks (complete/uncomplete)
- * - Exposing loading and error states
+ * - Providing operations to modify tasks (add/create/complete/uncomplete, tick sub-steps)
+ *   that show on the board at once and are rolled back if Firestore refuses them
+ * - Keeping writes made offline in a queue that survives reloads
+ * - Exposing loading, error and connection states, and the write state of
+ *   each task (pending, or the error of a refused write)
  * 
  * This context has been refactored to focus ONLY on data management,
  * with all filtering logic moved to specialized hooks and rules.
  */
-import React, { createContext, useState, useEffect } from 'react';
-import { collection, getDocs, updateDoc, doc } from 'firebase/firestore';
+import React, { createContext, useState, useEffect, useContext, useMemo, useRef, useCallback } from 'react';
+import { collection, doc, onSnapshot, query, where } from 'firebase/firestore';
 import { db } from '../services/firebase';
+import { AuthContext } from './AuthContext';
+import { StudentContext } from './StudentContext';
+import { useConnectionState } from '../hooks/useConnectionState';
+import { applyDocChanges } from '../utils/firestoreUtils';
+import { getTodayISO } from '../utils/dateUtils';
+import { validateNewTask } from '../utils/taskValidation';
+import {
+  applyPendingWrite,
+  createPendingWrite,
+  loadPendingWrites,
+  savePendingWrites,
+  sendPendingWrite
+} from '../services/pendingWrites';
 
 export const TaskContext = createContext();
 
@@ -27,77 +44,144 @@ export function TaskProvider({ children }) {
   const [tasks, setTasks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [fromCache, setFromCache] = useState(null);
+  const [pendingWrites, setPendingWrites] = useState([]);
+  const [writeErrors, setWriteErrors] = useState({});
+  const { user, loading: authLoading } = useContext(AuthContext);
+  const { activeStudentId, loading: studentsLoading } = useContext(StudentContext);
+  // Account whose queue pendingWrites holds, once sign-in has settled
+  const queueUidRef = useRef(null);
+  const uid = !authLoading && user ? user.uid : null;
+  const connection = useConnectionState(fromCache);
   
-  // Load tasks once on mount
+  // Follow the active student's tasks; restarts when the student changes
   useEffect(() => {
-    let isMounted = true;
+    // Wait until we know which student to show
+    if (studentsLoading || !activeStudentId) return undefined;
 
-    async function fetchTasks() {
-      try {
-        setLoading(true);
-        const tasksRef = collection(db, 'tasks');
-        const snapshot = await getDocs(tasksRef);
-        
-        if (!isMounted) return;
+    setTasks([]);
+    setLoading(true);
+    setFromCache(null);
 
-        const fetchedTasks = [];
-        snapshot.forEach(doc => {
-          fetchedTasks.push({ 
-            id: doc.id, 
-            ...doc.data() 
-          });
-        });
-        
-        console.log(`Loaded ${fetchedTasks.length} tasks from Firestore`);
-        setTasks(fetchedTasks);
-        setError(null);
-      } catch (err) {
-        if (!isMounted) return;
-        console.error("Error fetching tasks:", err);
-        setError("Failed to load tasks: " + err.message);
-      } finally {
-        if (isMounted) {
-          setLoading(false);
-        }
-      }
-    }
-    
-    fetchTasks();
+    const tasksQuery = query(collection(db, 'tasks'), where('student_id', '==', activeStudentId));
 
-    // Cleanup to prevent memory leaks and state updates after unmount
-    return () => {
-      isMounted = false;
-    };
-  }, []);
+    // Metadata changes tell when the listener falls back to the cache and
+    // when it reaches the server again
+    const unsubscribe = onSnapshot(tasksQuery, { includeMetadataChanges: true }, snapshot => {
+      setTasks(prevTasks => applyDocChanges(prevTasks, snapshot));
+      setFromCache(snapshot.metadata.fromCache);
+      setError(null);
+      setLoading(false);
+    }, err => {
+      console.error("Error listening to tasks:", err);
+      setError("Failed to load tasks: " + err.message);
+      setLoading(false);
+    });
+
+    return unsubscribe;
+  }, [activeStudentId, studentsLoading]);
+  
+  // Keep the queue in localStorage so it survives a reload
+  useEffect(() => {
+    if (queueUidRef.current) {
+      savePendingWrites(queueUidRef.current, pendingWrites);
+    }
+  }, [pendingWrites]);
   
   /**
-   * Mark a task as completed
-   * @param {string} taskId - ID of the task to complete
+   * Send a write to Firestore, showing it on the board until it is confirmed.
+   * Offline, the write waits in the queue (and in Firestore's own cache);
+   * if Firestore refuses it, it is dropped and the task gets the error.
+   * It only uses state setters, so it stays the same between renders.
+   * @param {Object} write - Queue entry from createPendingWrite
+   * @param {string} errorMessage - What failed, for the task's error
    * @returns {Promise<boolean>} Success indicator
    */
-  async function completeTask(taskId) {
+  const runWrite = useCallback(async (write, errorMessage) => {
+    setPendingWrites(prevWrites => [
+      ...prevWrites.filter(pendingWrite => pendingWrite.key !== write.key),
+      write
+    ]);
+    setWriteErrors(({ [write.task_id]: _, ...otherErrors }) => otherErrors);
+    
+    // Only drop the entry itself; a newer write with the same key stays queued
+    const dequeue = () => setPendingWrites(prevWrites =>
+      prevWrites.filter(pendingWrite => pendingWrite.write_id !== write.write_id));
+    
     try {
-      // Update in Firestore
-      const taskRef = doc(db, 'tasks', taskId);
-      await updateDoc(taskRef, {
-        completed: true,
-        completedDate: new Date().toISOString()
-      });
-      
-      // Update local state
-      setTasks(prevTasks => 
-        prevTasks.map(task => 
-          task.id === taskId ? { ...task, completed: true, completedDate: new Date().toISOString() } : task
-        )
-      );
-      
-      console.log(`Task ${taskId} marked as complete`);
+      await sendPendingWrite(write);
+      dequeue();
       return true;
     } catch (err) {
-      console.error("Error completing task:", err);
-      setError("Failed to complete task: " + err.message);
+      console.error(`${errorMessage}:`, err);
+      dequeue();
+      setWriteErrors(prevErrors => ({
+        ...prevErrors,
+        [write.task_id]: { message: `${errorMessage}: ${err.message}`, errorMessage, write }
+      }));
       return false;
     }
+  }, []);
+  
+  // Send the writes this account left in the queue on an earlier visit.
+  // Another account's writes stay in its own queue for its next visit.
+  useEffect(() => {
+    if (!uid) return undefined;
+
+    queueUidRef.current = uid;
+    setPendingWrites([]);
+    setWriteErrors({});
+    loadPendingWrites(uid).forEach(write => {
+      runWrite(write, 'Failed to save a change made offline');
+    });
+  }, [uid, runWrite]);
+  
+  // Tasks as stored, with queued writes applied on top
+  const tasksWithPendingWrites = useMemo(() => {
+    if (pendingWrites.length === 0 && Object.keys(writeErrors).length === 0) return tasks;
+    
+    const byId = new Map(tasks.map(task => [task.id, task]));
+    pendingWrites.forEach(write => {
+      const task = byId.get(write.task_id);
+      if (task) {
+        byId.set(write.task_id, applyPendingWrite(task, write));
+      } else if (write.task && write.task.student_id === activeStudentId) {
+        // Created while offline and not in the cache yet
+        byId.set(write.task_id, { id: write.task_id, ...write.task });
+      }
+    });
+    
+    // A refused new task stays on the board with its error until dismissed
+    Object.values(writeErrors).forEach(({ write }) => {
+      if (write.task && !byId.has(write.task_id) && write.task.student_id === activeStudentId) {
+        byId.set(write.task_id, { id: write.task_id, ...write.task });
+      }
+    });
+    
+    return Array.from(byId.values());
+  }, [tasks, pendingWrites, writeErrors, activeStudentId]);
+  
+  // Write state of each task that has one: { pending, error }
+  const writeStates = useMemo(() => {
+    const states = {};
+    pendingWrites.forEach(write => {
+      states[write.task_id] = { pending: true, error: null };
+    });
+    Object.entries(writeErrors).forEach(([taskId, writeError]) => {
+      states[taskId] = { pending: Boolean(states[taskId]), error: writeError.message };
+    });
+    return states;
+  }, [pendingWrites, writeErrors]);
+  
+  /**
+   * Mark a task as completed
+   * @param {string} taskId - ID of the task to complete
+   * @returns {Promise<boolean>} Success indicator
+   */
+  function completeTask(taskId) {
+    return runWrite(createPendingWrite(taskId, {
+      changes: { completed: true, completedDate: new Date().toISOString() }
+    }), 'Failed to complete task');
   }
   
   /**
@@ -105,38 +189,95 @@ export function TaskProvider({ children }) {
    * @param {string} taskId - ID of the task to uncomplete
    * @returns {Promise<boolean>} Success indicator
    */
-  async function uncompleteTask(taskId) {
-    try {
-      // Update in Firestore
-      const taskRef = doc(db, 'tasks', taskId);
-      await updateDoc(taskRef, {
-        completed: false,
-        completedDate: null
-      });
-      
-      // Update local state
-      setTasks(prevTasks => 
-        prevTasks.map(task => 
-          task.id === taskId ? { ...task, completed: false, completedDate: null } : task
-        )
-      );
-      
-      console.log(`Task ${taskId} marked as incomplete`);
-      return true;
-    } catch (err) {
-      console.error("Error uncompleting task:", err);
-      setError("Failed to uncomplete task: " + err.message);
-      return false;
-    }
+  function uncompleteTask(taskId) {
+    return runWrite(createPendingWrite(taskId, {
+      changes: { completed: false, completedDate: null }
+    }), 'Failed to uncomplete task');
+  }
+  
+  /**
+   * Tick or untick one sub-step (see task.parts) of a homework task
+   * @param {string} taskId - ID of the task
+   * @param {string} partId - ID of the part
+   * @param {boolean} done - New state of the part
+   * @returns {Promise<boolean>} Success indicator
+   */
+  function setPartDone(taskId, partId, done) {
+    return runWrite(createPendingWrite(taskId, {
+      part: { id: partId, done }
+    }), 'Failed to update task step');
+  }
+  
+  /**
+   * Create a task. A task with the same ID gets the new details but keeps
+   * its progress (completion and ticked steps).
+   * @param {Object} task - Task to save, including its ID
+   * @returns {Promise<boolean>} Success indicator
+   */
+  function addTask(task) {
+    const { id, ...taskData } = task;
+    return runWrite(createPendingWrite(id, { task: taskData }), 'Failed to add task');
+  }
+  
+  /**
+   * Add a task typed in the app for the active student. The task shows on
+   * the board at once; saving it may finish later (e.g. when offline).
+   * @param {import('../types/Task').TaskCreationInput} input - What and when
+   * @returns {Promise<boolean>} Success indicator; false at once when the input is invalid
+   */
+  function createTask(input) {
+    if (Object.keys(validateNewTask(input)).length > 0) return Promise.resolve(false);
+    
+    return addTask({
+      id: doc(collection(db, 'tasks')).id,
+      description: input.description.trim(),
+      subject: input.subject,
+      type: input.type || 'homework',
+      status: 'open',
+      completed: false,
+      due_date: input.due_date,
+      date_added: getTodayISO(),
+      student_id: activeStudentId,
+      // Tells the scraper this task is not a Wilma item
+      source: 'app'
+    });
+  }
+  
+  /**
+   * Send a refused write again
+   * @param {string} taskId - ID of the task whose write failed
+   * @returns {Promise<boolean>} Success indicator
+   */
+  function retryWrite(taskId) {
+    const writeError = writeErrors[taskId];
+    if (!writeError) return Promise.resolve(false);
+    
+    const { write_id, queued_at, ...write } = writeError.write;
+    return runWrite(createPendingWrite(taskId, write), writeError.errorMessage);
+  }
+  
+  /**
+   * Forget the error of a refused write, keeping the task as stored
+   * @param {string} taskId - ID of the task
+   */
+  function dismissWriteError(taskId) {
+    setWriteErrors(({ [taskId]: _, ...otherErrors }) => otherErrors);
   }
   
   return (
     <TaskContext.Provider value={{
-      tasks,
+      tasks: tasksWithPendingWrites,
       loading,
       error,
+      connection,
+      writeStates,
+      addTask,
+      createTask,
       completeTask,
-      uncompleteTask
+      uncompleteTask,
+      setPartDone,
+      retryWrite,
+      dismissWriteError
     }}>
       {children}
     </TaskContext.Provider>
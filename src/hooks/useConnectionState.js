@@ -0,0 +1,52 @@
+/**
+ * useConnectionState.js
+ *
+ * A custom hook that tells whether the board is showing live data.
+ *
+ * Features:
+ * - Follows the browser's online/offline events
+ * - Combines them with whether the latest Firestore snapshot came from the
+ *   local cache, which is the case until the listener reaches the server
+ *   again after a dropped connection
+ *
+ * @param {boolean|null} fromCache - snapshot.metadata.fromCache of the latest
+ *   snapshot, or null before the first one
+ * @returns {string} One of CONNECTION
+ */
+
+import { useState, useEffect } from 'react';
+
+/**
+ * Connection states of the live task listener
+ * @enum {string}
+ */
+export const CONNECTION = {
+  LIVE: 'live',
+  OFFLINE: 'offline',
+  RECONNECTING: 'reconnecting'
+};
+
+/**
+ * Hook that provides the connection state of a Firestore listener
+ * @param {boolean|null} fromCache - Whether the latest snapshot came from the cache
+ * @returns {string} Connection state
+ */
+export function useConnectionState(fromCache) {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  if (!isOnline) return CONNECTION.OFFLINE;
+  return fromCache === false ? CONNECTION.LIVE : CONNECTION.RECONNECTING;
+}
@@ -0,0 +1,119 @@
+/**
+ * useGrades.js
+ * 
+ * A custom hook that loads the active student's graded exams and groups
+ * them into a per-subject history for the grades timeline.
+ * 
+ * Features:
+ * - Fetches grades written by the scraper from the `grades` collection
+ * - Groups grades by subject, oldest first, so progress reads left to right
+ * - Converts Finnish grade notation (8+, 7½, 9-) to numbers for averages
+ * 
+ * @returns {Object} Grade history and loading state
+ */
+
+import { useState, useEffect, useMemo, useContext } from 'react';
+import { collection, getDocs, query, where } from 'firebase/firestore';
+import { db } from '../services/firebase';
+import { StudentContext } from '../context/StudentContext';
+
+/**
+ * Convert a Finnish school grade to a number.
+ * "8+" is 8.25, "8-" is 7.75 and "7½" is 7.5; pass/fail marks such as "S" have no value.
+ * @param {string} grade - Grade as written in Wilma
+ * @returns {number|null} Numeric value or null if the grade is not numeric
+ */
+export function parseGrade(grade) {
+  const match = /^(\d+)(?:[.,](\d+))?\s*(½|\+|-)?$/.exec(String(grade || '').trim());
+  if (!match) return null;
+  
+  let value = parseFloat(match[2] ? `${match[1]}.${match[2]}` : match[1]);
+  if (match[3] === '½') value += 0.5;
+  if (match[3] === '+') value += 0.25;
+  if (match[3] === '-') value -= 0.25;
+  
+  return value;
+}
+
+/**
+ * Hook that provides the grade history of the active student
+ * @returns {Object} Grades data object
+ * @property {Array} grades - All grades, oldest first
+ * @property {Array<{subject: string, grades: Array, average: number|null}>} gradesBySubject - Grades grouped by subject
+ * @property {boolean} isLoading - True while grades are loading
+ * @property {string|null} error - Error message if any
+ */
+export function useGrades() {
+  const [grades, setGrades] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { activeStudentId, loading: studentsLoading } = useContext(StudentContext);
+  
+  useEffect(() => {
+    let isMounted = true;
+    
+    // Wait until we know which student to show
+    if (studentsLoading || !activeStudentId) return undefined;
+    
+    async function fetchGrades() {
+      try {
+        setIsLoading(true);
+        const gradesQuery = query(collection(db, 'grades'), where('student_id', '==', activeStudentId));
+        const snapshot = await getDocs(gradesQuery);
+        
+        if (!isMounted) return;
+        
+        const fetchedGrades = snapshot.docs
+          .map(doc => ({ id: doc.id, ...doc.data() }))
+          .sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+        
+        setGrades(fetchedGrades);
+        setError(null);
+      } catch (err) {
+        if (!isMounted) return;
+        console.error("Error fetching grades:", err);
+        setError("Failed to load grades: " + err.message);
+      } finally {
+        if (isMounted) {
+          setIsLoading(false);
+        }
+      }
+    }
+    
+    fetchGrades();
+    
+    return () => {
+      isMounted = false;
+    };
+  }, [activeStudentId, studentsLoading]);
+  
+  // Group grades per subject - memoized to prevent recalculations
+  const gradesBySubject = useMemo(() => {
+    const groups = new Map();
+    
+    grades.forEach(grade => {
+      const subject = grade.subject || 'Unknown';
+      if (!groups.has(subject)) groups.set(subject, []);
+      groups.get(subject).push({ ...grade, value: parseGrade(grade.grade) });
+    });
+    
+    return Array.from(groups.entries())
+      .map(([subject, subjectGrades]) => {
+        const values = subjectGrades.map(g => g.value).filter(v => v !== null);
+        const average = values.length > 0
+          ? values.reduce((sum, v) => sum + v, 0) / values.length
+          : null;
+        return { subject, grades: subjectGrades, average };
+      })
+      .sort((a, b) => a.subject.localeCompare(b.subject));
+  }, [grades]);
+  
+  return {
+    grades,
+    gradesBySubject,
+    isLoading,
+    error
+  };
+}
+
+export default useGrades;
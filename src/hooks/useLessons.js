@@ -0,0 +1,83 @@
+/**
+ * useLessons.js
+ * 
+ * A custom hook that loads the lesson diary (Tuntipäiväkirja) entries the
+ * scraper stored for one subject on one day, e.g. the lesson a homework
+ * was given in.
+ * 
+ * Entries live under students/{studentId}/subjects/{subjectId}/lessons.
+ * Nothing is fetched until `enabled` is true, so task cards can load them
+ * only when opened.
+ * 
+ * @param {string} studentId - Wilma student number
+ * @param {string} subject - Subject name as shown on the task
+ * @param {string} date - ISO date of the lesson (YYYY-MM-DD)
+ * @param {boolean} enabled - Whether to fetch yet
+ * @returns {Object} Lessons data object
+ */
+
+import { useState, useEffect } from 'react';
+import { collection, getDocs, query, where } from 'firebase/firestore';
+import { db } from '../services/firebase';
+
+/**
+ * Document ID the scraper uses for a subject ("Visual Arts" -> "visual-arts")
+ * @param {string} name - Subject name
+ * @returns {string} ID under students/{studentId}/subjects
+ */
+export function getSubjectId(name) {
+  return name.toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Hook that provides the lesson diary entries of a subject on a date
+ * @property {Array} lessons - Lessons of that day, in timetable order
+ * @property {boolean} isLoading - True while lessons are loading
+ * @property {string|null} error - Error message if any
+ */
+export function useLessons(studentId, subject, date, enabled) {
+  const [lessons, setLessons] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  
+  useEffect(() => {
+    let isMounted = true;
+    
+    if (!enabled || !studentId || !subject || !date) return undefined;
+    
+    async function fetchLessons() {
+      try {
+        setIsLoading(true);
+        const lessonsRef = collection(db, 'students', studentId, 'subjects', getSubjectId(subject), 'lessons');
+        const snapshot = await getDocs(query(lessonsRef, where('date', '==', date)));
+        
+        if (!isMounted) return;
+        
+        setLessons(snapshot.docs
+          .map(doc => ({ id: doc.id, ...doc.data() }))
+          .sort((a, b) => (a.start || '').localeCompare(b.start || '')));
+        setError(null);
+      } catch (err) {
+        if (!isMounted) return;
+        console.error("Error fetching lessons:", err);
+        setError("Failed to load lesson notes: " + err.message);
+      } finally {
+        if (isMounted) {
+          setIsLoading(false);
+        }
+      }
+    }
+    
+    fetchLessons();
+    
+    return () => {
+      isMounted = false;
+    };
+  }, [studentId, subject, date, enabled]);
+  
+  return {
+    lessons,
+    isLoading,
+    error
+  };
+}
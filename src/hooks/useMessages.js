@@ -0,0 +1,144 @@
+/**
+ * useMessages.js
+ * 
+ * A custom hook that loads the active student's Wilma messages for the
+ * announcements panel and manages their read state.
+ * 
+ * Features:
+ * - Fetches messages written by the scraper from the `messages` collection
+ * - Sorts messages newest first and counts unread ones
+ * - Marks messages read/unread and turns a message into a task
+ * 
+ * @returns {Object} Messages, unread count and message operations
+ */
+
+import { useState, useEffect, useContext } from 'react';
+import { collection, doc, getDocs, query, updateDoc, where } from 'firebase/firestore';
+import { db } from '../services/firebase';
+import { StudentContext } from '../context/StudentContext';
+import { TaskContext } from '../context/TaskContext';
+import { getTodayISO, getTomorrowISO } from '../utils/dateUtils';
+
+/**
+ * Hook that provides the Wilma messages of the active student
+ * @returns {Object} Messages data object
+ * @property {Array} messages - Messages, newest first
+ * @property {number} unreadCount - Number of unread messages
+ * @property {Function} setRead - Mark a message read or unread
+ * @property {Function} promoteToTask - Add a message to the board as a task
+ * @property {boolean} isLoading - True while messages are loading
+ * @property {string|null} error - Error message if any
+ */
+export function useMessages() {
+  const [messages, setMessages] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { activeStudentId, loading: studentsLoading } = useContext(StudentContext);
+  const { addTask } = useContext(TaskContext);
+  
+  useEffect(() => {
+    let isMounted = true;
+    
+    // Wait until we know which student to show
+    if (studentsLoading || !activeStudentId) return undefined;
+    
+    async function fetchMessages() {
+      try {
+        setIsLoading(true);
+        const messagesQuery = query(collection(db, 'messages'), where('student_id', '==', activeStudentId));
+        const snapshot = await getDocs(messagesQuery);
+        
+        if (!isMounted) return;
+        
+        const fetchedMessages = snapshot.docs
+          .map(doc => ({ id: doc.id, ...doc.data() }))
+          .sort((a, b) => (b.sent_at || '').localeCompare(a.sent_at || ''));
+        
+        setMessages(fetchedMessages);
+        setError(null);
+      } catch (err) {
+        if (!isMounted) return;
+        console.error("Error fetching messages:", err);
+        setError("Failed to load messages: " + err.message);
+      } finally {
+        if (isMounted) {
+          setIsLoading(false);
+        }
+      }
+    }
+    
+    fetchMessages();
+    
+    return () => {
+      isMounted = false;
+    };
+  }, [activeStudentId, studentsLoading]);
+  
+  // Apply a change to one message in Firestore and local state
+  async function updateMessage(messageId, changes) {
+    try {
+      await updateDoc(doc(db, 'messages', messageId), changes);
+      setMessages(prevMessages =>
+        prevMessages.map(message =>
+          message.id === messageId ? { ...message, ...changes } : message
+        )
+      );
+      return true;
+    } catch (err) {
+      console.error("Error updating message:", err);
+      setError("Failed to update message: " + err.message);
+      return false;
+    }
+  }
+  
+  /**
+   * Mark a message as read or unread
+   * @param {string} messageId - ID of the message
+   * @param {boolean} read - New read state
+   * @returns {Promise<boolean>} Success indicator
+   */
+  function setRead(messageId, read) {
+    return updateMessage(messageId, { read });
+  }
+  
+  /**
+   * Add a message to the board as a task due tomorrow.
+   * The task reuses the message ID, so promoting twice never creates
+   * duplicates or undoes the completion of the first one.
+   * @param {Object} message - Message to promote
+   * @returns {Promise<boolean>} Success indicator
+   */
+  async function promoteToTask(message) {
+    const added = await addTask({
+      id: message.id,
+      description: message.subject || 'Wilma message',
+      subject: 'Other',
+      type: 'homework',
+      status: 'open',
+      completed: false,
+      due_date: getTomorrowISO(),
+      date_added: getTodayISO(),
+      student_id: message.student_id,
+      wilma_id: null,
+      source_message_id: message.id
+    });
+    if (!added) {
+      // A task that could not be created has no card to show the error on
+      setError("Failed to add the message to the board");
+      return false;
+    }
+    
+    return updateMessage(message.id, { read: true, promoted_task_id: message.id });
+  }
+  
+  const unreadCount = messages.filter(message => !message.read).length;
+  
+  return {
+    messages,
+    unreadCount,
+    setRead,
+    promoteToTask,
+    isLoading,
+    error
+  };
+}
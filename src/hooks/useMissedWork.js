@@ -0,0 +1,125 @@
+/**
+ * useMissedWork.js
+ * 
+ * A custom hook that answers "what did I miss?" after an absence.
+ * 
+ * Features:
+ * - Fetches the active student's attendance marks from the `attendance` collection
+ * - Keeps the lessons missed in the last two weeks (late arrivals don't count)
+ * - Gathers, per missed lesson, the homework given that day and the
+ *   lesson diary entry of that subject
+ * 
+ * @returns {Object} Missed days and loading state
+ */
+
+import { useState, useEffect, useMemo, useContext } from 'react';
+import { collection, getDocs, query, where } from 'firebase/firestore';
+import { db } from '../services/firebase';
+import { StudentContext } from '../context/StudentContext';
+import { TaskContext } from '../context/TaskContext';
+import { getDateRelativeToToday } from '../utils/dateUtils';
+import { getSubjectId } from './useLessons';
+
+// How far back absences are shown
+const LOOKBACK_DAYS = 14;
+
+/**
+ * Hook that provides the work missed during recent absences
+ * @returns {Object} Missed work data object
+ * @property {Array} missedDays - Newest first: { date, reasons, subjects: [{ subject, lessons, tasks }] }
+ * @property {boolean} isLoading - True while attendance and lesson notes are loading
+ * @property {string|null} error - Error message if any
+ */
+export function useMissedWork() {
+  const [absences, setAbsences] = useState([]);
+  const [lessonsByKey, setLessonsByKey] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { activeStudentId, loading: studentsLoading } = useContext(StudentContext);
+  const { tasks } = useContext(TaskContext);
+  
+  useEffect(() => {
+    let isMounted = true;
+    
+    // Wait until we know which student to show
+    if (studentsLoading || !activeStudentId) return undefined;
+    
+    async function fetchMissedLessons() {
+      try {
+        setIsLoading(true);
+        const attendanceQuery = query(collection(db, 'attendance'), where('student_id', '==', activeStudentId));
+        const snapshot = await getDocs(attendanceQuery);
+        
+        const since = getDateRelativeToToday(-LOOKBACK_DAYS);
+        const recentAbsences = snapshot.docs
+          .map(doc => ({ id: doc.id, ...doc.data() }))
+          .filter(record => record.kind === 'absence' && record.date >= since);
+        
+        // One lesson diary lookup per subject and day
+        const lessons = {};
+        const pairs = new Map(recentAbsences.map(record => [`${record.subject}|${record.date}`, record]));
+        for (const [key, record] of pairs) {
+          const lessonsRef = collection(
+            db, 'students', record.student_id, 'subjects', getSubjectId(record.subject), 'lessons'
+          );
+          const lessonsSnapshot = await getDocs(query(lessonsRef, where('date', '==', record.date)));
+          lessons[key] = lessonsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        }
+        
+        if (!isMounted) return;
+        
+        setAbsences(recentAbsences);
+        setLessonsByKey(lessons);
+        setError(null);
+      } catch (err) {
+        if (!isMounted) return;
+        console.error("Error fetching attendance:", err);
+        setError("Failed to load absences: " + err.message);
+      } finally {
+        if (isMounted) {
+          setIsLoading(false);
+        }
+      }
+    }
+    
+    fetchMissedLessons();
+    
+    return () => {
+      isMounted = false;
+    };
+  }, [activeStudentId, studentsLoading]);
+  
+  // Group by day, then by subject; tasks come from the board so ticks stay in sync
+  const missedDays = useMemo(() => {
+    const days = new Map();
+    
+    for (const absence of absences) {
+      if (!days.has(absence.date)) {
+        days.set(absence.date, { date: absence.date, reasons: new Set(), subjects: new Map() });
+      }
+      const day = days.get(absence.date);
+      if (absence.reason) day.reasons.add(absence.reason);
+      if (day.subjects.has(absence.subject)) continue;
+      
+      day.subjects.set(absence.subject, {
+        subject: absence.subject,
+        lessons: lessonsByKey[`${absence.subject}|${absence.date}`] || [],
+        tasks: tasks.filter(task =>
+          task.subject === absence.subject &&
+          task.date_added === absence.date &&
+          task.type !== 'exam'
+        )
+      });
+    }
+    
+    return [...days.values()]
+      .sort((a, b) => b.date.localeCompare(a.date))
+      .map(day => ({ ...day, reasons: [...day.reasons], subjects: [...day.subjects.values()] }));
+  }, [absences, lessonsByKey, tasks]);
+  
+  return {
+    missedDays,
+    isLoading,
+    error
+  };
+}
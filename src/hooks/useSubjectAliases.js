@@ -0,0 +1,106 @@
+/**
+ * useSubjectAliases.js
+ * 
+ * A custom hook for the review queue of Wilma course names the scraper
+ * could not map to a subject.
+ * 
+ * Features:
+ * - Fetches the `subjectAliases` collection maintained by the scraper
+ * - Splits it into pending course names and the subjects already in use
+ * - Assigns a subject to a pending course name; the next sync moves the
+ *   course's tasks over to that subject
+ * 
+ * @returns {Object} Pending course names and the assign operation
+ */
+
+import { useState, useEffect } from 'react';
+import { collection, doc, getDocs, updateDoc } from 'firebase/firestore';
+import { db } from '../services/firebase';
+
+/**
+ * Hook that provides the subject alias review queue
+ * @returns {Object} Subject alias data object
+ * @property {Array} pending - Aliases waiting for a subject, oldest first
+ * @property {Array<string>} knownSubjects - Subjects used by assigned aliases
+ * @property {Function} assign - Map a pending course name to a subject
+ * @property {boolean} isLoading - True while aliases are loading
+ * @property {string|null} error - Error message if any
+ */
+export function useSubjectAliases() {
+  const [aliases, setAliases] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  
+  useEffect(() => {
+    let isMounted = true;
+    
+    async function fetchAliases() {
+      try {
+        const snapshot = await getDocs(collection(db, 'subjectAliases'));
+        if (!isMounted) return;
+        
+        setAliases(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        setError(null);
+      } catch (err) {
+        if (!isMounted) return;
+        console.error("Error fetching subject aliases:", err);
+        setError("Failed to load subject mapping: " + err.message);
+      } finally {
+        if (isMounted) {
+          setIsLoading(false);
+        }
+      }
+    }
+    
+    fetchAliases();
+    
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+  
+  /**
+   * Map a pending course name to a subject
+   * @param {string} aliasId - ID of the pending alias
+   * @param {string} subject - Subject to show the course's tasks under
+   * @returns {Promise<boolean>} Success indicator
+   */
+  async function assign(aliasId, subject) {
+    const trimmedSubject = subject.trim();
+    if (!trimmedSubject) return false;
+    
+    const changes = {
+      subject: trimmedSubject,
+      status: 'assigned',
+      assignedAt: new Date().toISOString()
+    };
+    
+    try {
+      await updateDoc(doc(db, 'subjectAliases', aliasId), changes);
+      setAliases(prevAliases =>
+        prevAliases.map(alias => alias.id === aliasId ? { ...alias, ...changes } : alias)
+      );
+      return true;
+    } catch (err) {
+      console.error("Error assigning subject:", err);
+      setError("Failed to assign subject: " + err.message);
+      return false;
+    }
+  }
+  
+  const pending = aliases
+    .filter(alias => alias.status === 'pending')
+    .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+  
+  const knownSubjects = [...new Set(
+    aliases.filter(alias => alias.subject).map(alias => alias.subject)
+  )].sort();
+  
+  return {
+    pending,
+    knownSubjects,
+    assign,
+    isLoading,
+    error
+  };
+}
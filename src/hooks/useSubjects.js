@@ -1,7 +1,10 @@
 // Hook to access subject information
-import { useState, useEffect, useMemo, useRef } from 'react';
+import { useState, useEffect, useMemo, useRef, useContext } from 'react';
 import { db } from '../services/firebase';
-import { collection, getDocs } from 'firebase/firestore';
+import { doc, onSnapshot } from 'firebase/firestore';
+import { subscribeToSubjects } from '../services/subjects';
+import { StudentContext } from '../context/StudentContext';
+import { getNextLessonDate as findNextLessonDate, getNonSchoolDayReason } from '../utils/dateUtils';
 
 // Create a debug logger that only logs in development and prevents duplicate logs
 const createLogger = (namespace) => {
@@ -34,81 +37,58 @@ const subjectLogger = createLogger('Subjects');
 
 export function useSubjects() {
   const [subjects, setSubjects] = useState([]);
+  const [calendar, setCalendar] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
-  const fetchAttempts = useRef(0);
   const hasLoggedToday = useRef(false);
   const hasLoggedTomorrow = useRef(false);
+  const { activeStudentId, loading: studentsLoading } = useContext(StudentContext);
 
+  // Follow the school calendar; without it only weekends are days off
   useEffect(() => {
-    let isMounted = true;
-    
-    async function fetchSubjects() {
-      // Avoid refetching if we already have subjects
-      if (subjects.length > 0) {
-        subjectLogger('Using cached subjects data');
-        return;
-      }
-      
-      // Track fetch attempts to prevent excessive retries
-      fetchAttempts.current += 1;
-      
-      if (fetchAttempts.current > 3) {
-        subjectLogger('Too many fetch attempts, aborting', null, true);
-        setError('Unable to load subjects after multiple attempts');
-        setIsLoading(false);
-        return;
-      }
-      
-      try {
-        subjectLogger(`Fetching subjects (attempt ${fetchAttempts.current})`);
-        setIsLoading(true);
-        const subjectsCollection = collection(db, 'subjects');
-        const subjectsSnapshot = await getDocs(subjectsCollection);
-        
-        if (!isMounted) return;
-        
-        if (subjectsSnapshot.empty) {
-          subjectLogger('No subjects found in Firestore', null, true);
-          setError('No subjects found in database');
-          setSubjects([]);
-          return;
-        }
-        
-        const subjectsData = subjectsSnapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }));
-        
-        // Only log once
+    return onSnapshot(doc(db, 'calendar', 'school'),
+      calendarDoc => setCalendar(calendarDoc.exists() ? calendarDoc.data() : null),
+      err => subjectLogger('Error fetching school calendar', err, true));
+  }, []);
+
+  // Follow the active student's timetable; restarts when switching students
+  useEffect(() => {
+    // Wait until we know which student's timetable to load
+    if (studentsLoading) return undefined;
+
+    subjectLogger('Listening to subjects');
+    setIsLoading(true);
+
+    return subscribeToSubjects(activeStudentId, subjectsData => {
+      if (subjectsData.length === 0) {
+        subjectLogger('No subjects found in Firestore', null, true);
+        setError('No subjects found in database');
+      } else {
         subjectLogger(`Fetched ${subjectsData.length} subjects successfully`);
-        
-        setSubjects(subjectsData);
         setError(null);
-      } catch (err) {
-        if (!isMounted) return;
-        subjectLogger('Error fetching subjects', err, true);
-        setError(`Failed to load subjects: ${err.message}`);
-        // Set subjects to empty array to prevent undefined issues
-        setSubjects([]);
-      } finally {
-        if (isMounted) {
-          setIsLoading(false);
-        }
       }
-    }
+      setSubjects(subjectsData);
+      setIsLoading(false);
+    }, err => {
+      subjectLogger('Error fetching subjects', err, true);
+      setError(`Failed to load subjects: ${err.message}`);
+      // Set subjects to empty array to prevent undefined issues
+      setSubjects([]);
+      setIsLoading(false);
+    });
+  }, [activeStudentId, studentsLoading]);
 
-    fetchSubjects();
-    
-    // Cleanup function to prevent state updates on unmounted component
-    return () => {
-      isMounted = false;
-    };
-  }, [subjects.length]);
+  // Why there is no school today/tomorrow (holiday name), or null
+  const todayClosure = useMemo(() => getNonSchoolDayReason(calendar, new Date()), [calendar]);
+  const tomorrowClosure = useMemo(() => {
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    return getNonSchoolDayReason(calendar, tomorrow);
+  }, [calendar]);
 
   // Get subjects scheduled for today - memoized to prevent recalculations
   const todaySubjects = useMemo(() => {
-    if (error || subjects.length === 0) return []; 
+    if (error || subjects.length === 0 || todayClosure) return []; 
     
     const today = new Date();
     
@@ -134,11 +114,11 @@ export function useSubjects() {
     }
     
     return result;
-  }, [subjects, error]);
+  }, [subjects, error, todayClosure]);
 
   // Get subjects scheduled for tomorrow - memoized to prevent recalculations
   const tomorrowSubjects = useMemo(() => {
-    if (error || subjects.length === 0) return []; 
+    if (error || subjects.length === 0 || tomorrowClosure) return []; 
     
     const today = new Date();
     const tomorrow = new Date(today);
@@ -166,7 +146,7 @@ export function useSubjects() {
     }
     
     return result;
-  }, [subjects, error]);
+  }, [subjects, error, tomorrowClosure]);
 
   // Return color for a subject - memoized to prevent recalculations
   const getSubjectColor = useMemo(() => {
@@ -181,11 +161,25 @@ export function useSubjects() {
     };
   }, [subjects, error]);
   
+  // Date of a subject's next lesson after today (for "next Math class")
+  const getNextLessonDate = useMemo(() => {
+    return (subjectName) => {
+      const subject = subjects.find(s => 
+        s.name && subjectName && s.name.toLowerCase() === subjectName.toLowerCase()
+      );
+      
+      return findNextLessonDate(subject?.schedule, calendar);
+    };
+  }, [subjects, calendar]);
+  
   return {
     allSubjects: subjects,
     todaySubjects,
     tomorrowSubjects,
+    todayClosure,
+    tomorrowClosure,
     getSubjectColor,
+    getNextLessonDate,
     isLoading,
     error
   };
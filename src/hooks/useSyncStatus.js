@@ -0,0 +1,100 @@
+/**
+ * useSyncStatus.js
+ * 
+ * A custom hook that tells whether the board is up to date with Wilma,
+ * based on the scraperRuns audit log the scraper writes on every run.
+ * 
+ * Features:
+ * - Finds the latest sync run and the latest successful one
+ * - Flags the board as stale when the last successful sync is older than
+ *   STALE_AFTER_HOURS, not counting weekends (the scheduled sync only
+ *   runs on school days)
+ * 
+ * @returns {Object} Sync status
+ */
+
+import { useState, useEffect } from 'react';
+import { collection, getDocs, limit, orderBy, query } from 'firebase/firestore';
+import { db } from '../services/firebase';
+
+// Hours of weekday time after which the board counts as out of date
+const STALE_AFTER_HOURS = Number(process.env.REACT_APP_SYNC_STALE_HOURS) || 24;
+
+// Enough recent runs to find a success among a few failed ones and archive runs
+const RECENT_RUN_COUNT = 20;
+
+// Hours between a time and now, leaving out Saturdays and Sundays
+function getWeekdayHoursSince(isoTime) {
+  const hour = 60 * 60 * 1000;
+  const now = Date.now();
+  let hours = 0;
+  
+  for (let time = new Date(isoTime).getTime(); time < now; time += hour) {
+    const day = new Date(time).getDay();
+    if (day !== 0 && day !== 6) hours++;
+  }
+  
+  return hours;
+}
+
+/**
+ * Hook that provides the status of the Wilma sync
+ * @property {Object|null} lastRun - Most recent sync run
+ * @property {Object|null} lastSuccess - Most recent successful sync run
+ * @property {boolean} isStale - True when no successful sync is recent enough
+ * @property {boolean} isLoading - True while runs are loading
+ * @property {string|null} error - Error message if any
+ */
+export function useSyncStatus() {
+  const [runs, setRuns] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  
+  useEffect(() => {
+    let isMounted = true;
+    
+    async function fetchRuns() {
+      try {
+        const runsQuery = query(
+          collection(db, 'scraperRuns'),
+          orderBy('started_at', 'desc'),
+          limit(RECENT_RUN_COUNT)
+        );
+        const snapshot = await getDocs(runsQuery);
+        if (!isMounted) return;
+        
+        setRuns(snapshot.docs
+          .map(doc => ({ id: doc.id, ...doc.data() }))
+          .filter(run => run.type === 'sync'));
+        setError(null);
+      } catch (err) {
+        if (!isMounted) return;
+        console.error("Error fetching sync status:", err);
+        setError("Failed to load sync status: " + err.message);
+      } finally {
+        if (isMounted) {
+          setIsLoading(false);
+        }
+      }
+    }
+    
+    fetchRuns();
+    
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+  
+  const lastRun = runs[0] || null;
+  const lastSuccess = runs.find(run => run.status === 'success') || null;
+  const lastSyncedAt = lastSuccess?.finished_at || lastSuccess?.started_at;
+  const isStale = !lastSyncedAt || getWeekdayHoursSince(lastSyncedAt) > STALE_AFTER_HOURS;
+  
+  return {
+    lastRun,
+    lastSuccess,
+    isStale,
+    isLoading,
+    error
+  };
+}
@@ -25,6 +25,7 @@ import * as P from './predicates';
 export function currentContainerRule({ todaySubjects = [] }) {
   return P.matchesAll([
     P.isNotCompleted, // Only show incomplete tasks
+    P.isNotWithdrawn, // Hide tasks the teacher removed
     P.matchesAny([
       // Homework tasks due tomorrow
       P.matchesAll([
@@ -55,6 +56,7 @@ export function currentContainerRule({ todaySubjects = [] }) {
 export function tomorrowContainerRule() {
   return P.matchesAll([
     P.isNotCompleted, // Only show incomplete tasks
+    P.isNotWithdrawn, // Hide tasks the teacher removed
     P.matchesAny([
       // Homework tasks due the day after tomorrow
       P.matchesAll([
@@ -75,6 +77,7 @@ export function tomorrowContainerRule() {
  * Rule for the future container tasks
  * Shows tasks that:
  * - Are not completed
+ * - Have not been withdrawn in Wilma
  * - Are not already shown in current or tomorrow containers
  * - Have due dates after the day after tomorrow or no due date
  * 
@@ -85,6 +88,9 @@ export function futureContainerRule() {
     // Not completed tasks
     P.isNotCompleted,
     
+    // Not withdrawn by the teacher
+    P.isNotWithdrawn,
+    
     // Not already shown in current or tomorrow containers
     P.not(P.matchesAny([
       // Not homework due tomorrow
@@ -112,7 +118,8 @@ export function futureContainerRule() {
  * Rule for the archive container tasks
  * Shows tasks that:
  * - Are completed OR
- * - Are overdue and not completed
+ * - Are overdue and not completed OR
+ * - Have been withdrawn in Wilma
  * 
  * @returns {function} A predicate function to filter tasks for the archive container
  */
@@ -122,7 +129,10 @@ export function archiveContainerRule() {
     P.isCompleted,
     
     // Overdue tasks that are not completed
-    P.matchesAll([P.isOverdue, P.isNotCompleted])
+    P.matchesAll([P.isOverdue, P.isNotCompleted]),
+    
+    // Tasks the teacher removed from Wilma
+    P.isWithdrawn
   ]);
 }
 
@@ -131,6 +131,24 @@ export function isNotCompleted(task) {
   return !isCompleted(task);
 }
 
+/**
+ * Checks if a task was removed from Wilma by the teacher.
+ * @param {Object} task - The task object to check
+ * @returns {boolean} True if the task has been withdrawn
+ */
+export function isWithdrawn(task) {
+  return Boolean(task?.withdrawn);
+}
+
+/**
+ * Checks if a task is still active in Wilma.
+ * @param {Object} task - The task object to check
+ * @returns {boolean} True if the task has not been withdrawn
+ */
+export function isNotWithdrawn(task) {
+  return !isWithdrawn(task);
+}
+
 // ==========================================
 // TYPE-BASED PREDICATES
 // ==========================================
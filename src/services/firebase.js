@@ -3,28 +3,27 @@
 
 // Firebase module imports 
 import { initializeApp } from 'firebase/app';
-import { getFirestore } from 'firebase/firestore';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager } from 'firebase/firestore';
+import { getAuth } from 'firebase/auth';
+import { getFunctions } from 'firebase/functions';
 import firebaseConfig from '../config/firebaseConfig';
 
 // Initialize Firebase only once
 const app = initializeApp(firebaseConfig);
 
-// Firestore instance
-const db = getFirestore(app);
+// Firestore instance. The cache is kept in IndexedDB, so the board opens
+// offline with the tasks last seen and writes made offline are sent later;
+// the tab manager lets the board be open in several tabs.
+const db = initializeFirestore(app, {
+  localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+});
 
-export { db };
+// Auth instance (parents sign in with an email link, children with a PIN)
+const auth = getAuth(app);
 
-export function updateTask(taskId, taskData) {
-  return db.collection('tasks').doc(taskId).update(taskData);
-}
+// Cloud Functions, for the child PIN sign-in
+const functions = getFunctions(app);
 
-export function addTask(taskData) {
-  return db.collection('tasks').add(taskData);
-}
-
-export function completeTask(taskId) {
-  return db.collection('tasks').doc(taskId).update({
-    completed: true,
-    completedDate: new Date().toLocaleDateString('fi-FI').replace(/\//g, '.')
-  });
-}
\ No newline at end of file
+// Tasks are written through TaskContext, which shows changes at once and
+// queues them while offline
+export { db, auth, functions };
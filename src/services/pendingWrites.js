@@ -0,0 +1,117 @@
+// src/services/pendingWrites.js - Task writes waiting for Firestore
+//
+// Completions and other task changes are shown on the board straight away
+// and kept here, in localStorage, until Firestore confirms them. After a
+// reload on a tablet that was offline the board still shows them and the
+// app sends them again. Replaying is safe: every write sets absolute values
+// or adds/removes a single step, and a create leaves the progress of a task
+// that already exists alone.
+
+import { arrayRemove, arrayUnion, doc, setDoc, updateDoc } from 'firebase/firestore';
+import { db } from './firebase';
+
+// localStorage key of an account's queue. Each account has its own: a shared
+// tablet is used by a parent and a child in turn, and the rules would refuse
+// one account's writes when replayed under the other.
+function getStorageKey(uid) {
+  return `questboard.pendingWrites.${uid}`;
+}
+
+// Progress on a task, which a create must not reset: the task may have been
+// completed on another device before a queued create is replayed, or it may
+// be a message promoted to the board a second time
+const PROGRESS_FIELDS = ['completed', 'completedDate', 'status', 'parts_done'];
+
+/**
+ * A queued task write. Exactly one of `changes`, `part` or `task` is set.
+ * @typedef {Object} PendingWrite
+ * @property {string} key - Later writes with the same key replace earlier ones
+ * @property {string} write_id - Tells a write apart from a newer one with the same key
+ * @property {string} task_id - Task written to
+ * @property {Object} [changes] - Fields to update
+ * @property {{id: string, done: boolean}} [part] - Sub-step to tick or untick
+ * @property {Object} [task] - Whole task to create, without its ID
+ * @property {string} queued_at - ISO time the write was made
+ */
+
+/**
+ * Read the queue of an account
+ * @param {string} uid - Firebase Auth user ID
+ * @returns {Array<PendingWrite>} Queued writes, oldest first
+ */
+export function loadPendingWrites(uid) {
+  try {
+    return JSON.parse(localStorage.getItem(getStorageKey(uid))) || [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Replace the queue of an account
+ * @param {string} uid - Firebase Auth user ID
+ * @param {Array<PendingWrite>} writes - Writes still waiting for Firestore
+ */
+export function savePendingWrites(uid, writes) {
+  if (writes.length === 0) {
+    localStorage.removeItem(getStorageKey(uid));
+  } else {
+    localStorage.setItem(getStorageKey(uid), JSON.stringify(writes));
+  }
+}
+
+/**
+ * Make a queue entry for a task write
+ * @param {string} taskId - Task written to
+ * @param {Object} write - `{changes}`, `{part}` or `{task}`
+ * @returns {PendingWrite} Queue entry
+ */
+export function createPendingWrite(taskId, write) {
+  let key = `${taskId}:update:${Object.keys(write.changes || {}).sort().join(',')}`;
+  if (write.part) key = `${taskId}:part:${write.part.id}`;
+  if (write.task) key = `${taskId}:create`;
+
+  return {
+    key,
+    write_id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    task_id: taskId,
+    ...write,
+    queued_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Show a queued write on a task before Firestore confirms it
+ * @param {Object} task - Task as stored
+ * @param {PendingWrite} write - Queued write for the task
+ * @returns {Object} Task with the write applied
+ */
+export function applyPendingWrite(task, write) {
+  if (write.task) return { ...write.task, ...task };
+  if (write.changes) return { ...task, ...write.changes };
+
+  const partsDone = (task.parts_done || []).filter(id => id !== write.part.id);
+  return { ...task, parts_done: write.part.done ? [...partsDone, write.part.id] : partsDone };
+}
+
+/**
+ * Send a queued write to Firestore
+ * @param {PendingWrite} write - Queued write
+ * @returns {Promise<void>} Resolves once the server has the write
+ */
+export function sendPendingWrite(write) {
+  const taskRef = doc(db, 'tasks', write.task_id);
+
+  if (write.task) {
+    // Merged, so an existing task keeps its progress and other fields
+    const creationFields = Object.fromEntries(
+      Object.entries(write.task).filter(([field]) => !PROGRESS_FIELDS.includes(field))
+    );
+    return setDoc(taskRef, creationFields, { merge: true });
+  }
+  if (write.changes) return updateDoc(taskRef, write.changes);
+
+  return updateDoc(taskRef, {
+    parts_done: write.part.done ? arrayUnion(write.part.id) : arrayRemove(write.part.id)
+  });
+}
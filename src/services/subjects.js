@@ -0,0 +1,53 @@
+// src/services/subjects.js - Live subject (timetable) data
+
+import { collection, onSnapshot } from 'firebase/firestore';
+import { db } from './firebase';
+
+function getSnapshotItems(snapshot) {
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * Follow a student's subjects, falling back to the shared subjects
+ * collection (data written before multi-student support) while the
+ * student has none
+ * @param {string|null} studentId - Student whose timetable to follow
+ * @param {Function} onSubjects - Called with the subjects on every change
+ * @param {Function} onError - Called when a listener fails
+ * @returns {Function} Stops listening
+ */
+export function subscribeToSubjects(studentId, onSubjects, onError) {
+  let unsubscribeShared = null;
+
+  function listenToShared() {
+    if (unsubscribeShared) return;
+    unsubscribeShared = onSnapshot(collection(db, 'subjects'),
+      snapshot => onSubjects(getSnapshotItems(snapshot)),
+      onError);
+  }
+
+  function stopShared() {
+    if (!unsubscribeShared) return;
+    unsubscribeShared();
+    unsubscribeShared = null;
+  }
+
+  if (!studentId) {
+    listenToShared();
+    return stopShared;
+  }
+
+  const unsubscribeStudent = onSnapshot(collection(db, 'students', studentId, 'subjects'), snapshot => {
+    if (snapshot.empty) {
+      listenToShared();
+      return;
+    }
+    stopShared();
+    onSubjects(getSnapshotItems(snapshot));
+  }, onError);
+
+  return () => {
+    unsubscribeStudent();
+    stopShared();
+  };
+}
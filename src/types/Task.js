@@ -17,9 +17,20 @@
  * @property {string} subject - Subject or category the task belongs to (e.g., "Math", "Physics")
  * @property {string} date_added - ISO 8601 timestamp when the task was created (e.g., "2025-03-27T14:30:00Z")
  * @property {string} [due_date] - ISO 8601 timestamp when the task is due (optional, but recommended)
- * @property {boolean} completed - Whether the task has been completed
+ * @property {string} [due_date_source] - How the scraper found the due date: "explicit" (exam date or deadline
+ *   written in the text), "schedule" (next lesson of the subject) or "fallback" (estimate)
+ * @property {string} [due_date_phrase] - Text the explicit deadline was read from (e.g., "pe 14.3.")
+ * @property {boolean} [completed] - Whether the task has been completed (missing until it is first ticked)
  * @property {string} [completedDate] - ISO 8601 timestamp when the task was marked complete (only present on completed tasks)
  * @property {string} [type] - Task type qualifier (e.g., "exam", "assignment", "reading")
+ * @property {string} [student_id] - Wilma student number the task belongs to
+ * @property {number|null} [wilma_id] - Wilma's identifier for the homework/exam (null when Wilma provides none)
+ * @property {boolean} [withdrawn] - Whether the teacher removed the item from Wilma
+ * @property {TaskRevision} [last_revision] - Most recent teacher edit detected by the scraper
+ * @property {Array<TaskPart>} [parts] - Sub-steps the scraper found in the homework text
+ * @property {Array<string>} [parts_done] - IDs of the parts ticked off in the app
+ * @property {string} [source_message_id] - ID of the Wilma message the task was created from
+ * @property {string} [source] - "app" for tasks added in the app; missing on tasks from Wilma
  * 
  * @property {string} [priority] - [GrowFlow] Task priority level ("low", "medium", "high")
  * @property {string} [effort] - [GrowFlow] Estimated effort required ("low", "medium", "high")
@@ -28,6 +39,26 @@
  * @property {string} [homeSection] - [GrowFlow] The section where this task naturally belongs ("garden", "lab", "library", etc.)
  */
 
+/**
+ * @typedef {Object} TaskRevision
+ * @description A change to a synced task detected in Wilma. The full history is kept
+ * in the task's `revisions` subcollection.
+ * 
+ * @property {string} detected_at - ISO 8601 timestamp of the sync that noticed the change
+ * @property {Object<string, {before: string, after: string}>} changes - Changed fields with their old and new values
+ */
+
+/**
+ * @typedef {Object} TaskPart
+ * @description One step of a homework task, e.g. a page range or an exercise. IDs are derived
+ * from the content ("pages-45-47", "exercise-5a"), so ticks survive a reworded description.
+ * 
+ * @property {string} id - Stable identifier of the part within its task
+ * @property {string} type - "pages", "exercise" or "material"
+ * @property {string} label - Page range, exercise number or material name as written
+ * @property {string} [book] - Book the pages are in (e.g., "Kirja"), when named
+ */
+
 /**
  * @typedef {Object} TaskCreationInput
  * @description Input data structure for creating a new task. Omits system-managed fields.
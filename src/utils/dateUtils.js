@@ -210,3 +210,67 @@ export function formatDate(dateInput, options = { month: 'long', day: 'numeric'
   
   return date.toLocaleDateString('en-US', options);
 }
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - The date to format
+ * @returns {string} The date in ISO format
+ */
+export function toLocalISODate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Explain why there is no school on a date.
+ * Mirrors scraper/school-calendar.js: weekends never have school; with a
+ * calendar, holidays, one-off days off and days outside every term don't either.
+ * @param {Object|null} calendar - The calendar/school document, or null if none is set up
+ * @param {Date} date - The date to check
+ * @returns {string|null} Reason such as "Autumn break", or null on school days
+ */
+export function getNonSchoolDayReason(calendar, date) {
+  const weekday = date.getDay();
+  if (weekday === 0 || weekday === 6) return 'Weekend';
+  
+  if (!calendar) return null;
+  
+  const isoDate = toLocalISODate(date);
+  
+  const dayOff = (calendar.non_school_days || []).find(entry => entry.date === isoDate);
+  if (dayOff) return dayOff.name || 'Day off';
+  
+  const holiday = (calendar.holidays || []).find(period => 
+    period.start <= isoDate && isoDate <= period.end
+  );
+  if (holiday) return holiday.name || 'Holiday';
+  
+  const terms = calendar.terms || [];
+  if (terms.length > 0 && !terms.some(term => term.start <= isoDate && isoDate <= term.end)) {
+    return 'Term break';
+  }
+  
+  return null;
+}
+
+/**
+ * Find the next school day after a date on which a subject has a lesson
+ * @param {Object} schedule - The subject's schedule ({ monday: true, ... })
+ * @param {Object|null} calendar - The calendar/school document, or null if none is set up
+ * @param {Date} [fromDate] - Day to search from (not included)
+ * @returns {string|null} Date of the next lesson in ISO format, or null if none within four weeks
+ */
+export function getNextLessonDate(schedule, calendar, fromDate = new Date()) {
+  if (!schedule) return null;
+  
+  const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+  const date = new Date(fromDate);
+  
+  for (let days = 1; days <= 28; days++) {
+    date.setDate(date.getDate() + 1);
+    if (schedule[dayNames[date.getDay()]] && !getNonSchoolDayReason(calendar, date)) {
+      return toLocalISODate(date);
+    }
+  }
+  
+  return null;
+}
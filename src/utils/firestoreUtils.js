@@ -0,0 +1,31 @@
+/**
+ * firestoreUtils.js
+ *
+ * Helpers for keeping local state in step with Firestore listeners.
+ */
+
+/**
+ * Apply the document changes of a query snapshot to a list of items
+ *
+ * Only changed documents are replaced, so items that did not change keep
+ * their identity and memoized components do not re-render.
+ *
+ * @param {Array<Object>} items - Current items, each with the document ID as `id`
+ * @param {import('firebase/firestore').QuerySnapshot} snapshot - Snapshot from onSnapshot
+ * @returns {Array<Object>} Updated items
+ */
+export function applyDocChanges(items, snapshot) {
+  const changes = snapshot.docChanges();
+  if (changes.length === 0) return items;
+
+  const byId = new Map(items.map(item => [item.id, item]));
+  changes.forEach(change => {
+    if (change.type === 'removed') {
+      byId.delete(change.doc.id);
+    } else {
+      byId.set(change.doc.id, { id: change.doc.id, ...change.doc.data() });
+    }
+  });
+
+  return Array.from(byId.values());
+}
@@ -0,0 +1,41 @@
+/**
+ * taskValidation.js
+ *
+ * Checks for tasks added in the app, so a task written to Firestore always
+ * has what the board needs to place and show it.
+ */
+
+import { getTodayISO } from './dateUtils';
+
+// Long enough for "Kirja s. 45-47 ja tehtävät 3-5", short enough for a card
+export const MAX_DESCRIPTION_LENGTH = 200;
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate the input of a new task
+ * @param {import('../types/Task').TaskCreationInput} input - Task to add
+ * @returns {Object<string, string>} Error message per invalid field; empty when valid
+ */
+export function validateNewTask({ description, subject, due_date } = {}) {
+  const errors = {};
+  const trimmedDescription = (description || '').trim();
+
+  if (!trimmedDescription) {
+    errors.description = 'Say what needs to be done';
+  } else if (trimmedDescription.length > MAX_DESCRIPTION_LENGTH) {
+    errors.description = `Keep it under ${MAX_DESCRIPTION_LENGTH} characters`;
+  }
+
+  if (!subject || !subject.trim()) {
+    errors.subject = 'Pick a subject';
+  }
+
+  if (!due_date || !ISO_DATE_PATTERN.test(due_date) || Number.isNaN(Date.parse(due_date))) {
+    errors.due_date = 'Pick when it is due';
+  } else if (due_date < getTodayISO()) {
+    errors.due_date = 'The due date is in the past';
+  }
+
+  return errors;
+}
@@ -0,0 +1,292 @@
+// firestore-rules.test.js - Check firestore.rules against the Firestore emulator
+//
+// Every collection is read and written as each kind of caller: a parent, a
+// child, a parent of another family, a signed-in account without a profile,
+// an anonymous visitor and the scraper. Run with `npm run test:rules`, which
+// starts the emulator (firebase-tools and Java needed) around the tests.
+
+const test = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds,
+} = require('@firebase/rules-unit-testing');
+const {
+  addDoc,
+  arrayUnion,
+  collection,
+  deleteDoc,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  setDoc,
+  updateDoc,
+  where,
+} = require('firebase/firestore');
+
+const STUDENT_ID = '1001';
+const OTHER_STUDENT_ID = '2002';
+
+// Documents as the scraper and `questboard-scraper users` write them
+const SEED = {
+  [`profiles/parent-1`]: { role: 'parent', email: 'parent@example.com', student_ids: [STUDENT_ID] },
+  [`profiles/child-${STUDENT_ID}`]: { role: 'child', name: 'Aino', student_ids: [STUDENT_ID] },
+  [`profiles/parent-2`]: { role: 'parent', email: 'other@example.com', student_ids: [OTHER_STUDENT_ID] },
+  [`childPins/${STUDENT_ID}`]: { salt: 'aa', hash: 'bb', failed_attempts: 0, locked_until: null },
+  [`students/${STUDENT_ID}`]: { name: 'Aino', wilma_name: 'Aino A' },
+  [`students/${OTHER_STUDENT_ID}`]: { name: 'Eetu', wilma_name: 'Eetu E' },
+  [`students/${STUDENT_ID}/subjects/math`]: { name: 'Math', student_id: STUDENT_ID, color: 'blue' },
+  [`students/${STUDENT_ID}/subjects/math/lessons/l1`]: { date: '2025-03-10', topic: 'Yhtälöt' },
+  [`students/${OTHER_STUDENT_ID}/subjects/math`]: { name: 'Math', student_id: OTHER_STUDENT_ID },
+  'tasks/t1': {
+    student_id: STUDENT_ID, subject: 'Math', type: 'homework', description: 'Kirja s. 45',
+    completed: false, status: 'open', due_date: '2025-03-12'
+  },
+  'tasks/t1/revisions/r1': { detected_at: '2025-03-11T07:00:00Z', changes: {} },
+  'tasks/t2': {
+    student_id: OTHER_STUDENT_ID, subject: 'Math', type: 'homework', description: 'Sivu 7',
+    completed: false, status: 'open', due_date: '2025-03-12'
+  },
+  'tasks/t2/revisions/r1': { detected_at: '2025-03-11T07:00:00Z', changes: {} },
+  'messages/m1': { student_id: STUDENT_ID, subject: 'Retki', read: false },
+  'messages/m2': { student_id: OTHER_STUDENT_ID, subject: 'Retki', read: false },
+  'grades/g1': { student_id: STUDENT_ID, subject: 'Math', grade: '9' },
+  'grades/g2': { student_id: OTHER_STUDENT_ID, subject: 'Math', grade: '7' },
+  'attendance/a1': { student_id: STUDENT_ID, kind: 'absence', date: '2025-03-10' },
+  'attendance/a2': { student_id: OTHER_STUDENT_ID, kind: 'absence', date: '2025-03-10' },
+  'subjects/math': { name: 'Math', color: 'blue' },
+  'calendar/school': { terms: [], holidays: [], non_school_days: [] },
+  'scraperRuns/run1': { type: 'sync', status: 'success', started_at: '2025-03-11T07:00:00Z' },
+  'subjectAliases/kuvataide': { match: 'exact', value: 'Kuvataide', subject: null, status: 'pending' },
+  'subjectAliases/matematiikka': { match: 'exact', value: 'matematiikka', subject: 'Math', status: 'assigned' },
+};
+
+let testEnv;
+
+test.before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-questboard',
+    firestore: {
+      rules: fs.readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8'),
+    },
+  });
+});
+
+test.after(async () => {
+  await testEnv?.cleanup();
+});
+
+test.beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    for (const [docPath, data] of Object.entries(SEED)) {
+      await setDoc(doc(db, docPath), data);
+    }
+  });
+});
+
+// Firestore clients for each kind of caller
+const as = {
+  parent: () => testEnv.authenticatedContext('parent-1').firestore(),
+  child: () => testEnv.authenticatedContext(`child-${STUDENT_ID}`, { role: 'child' }).firestore(),
+  otherParent: () => testEnv.authenticatedContext('parent-2').firestore(),
+  noProfile: () => testEnv.authenticatedContext('stranger').firestore(),
+  anonymous: () => testEnv.unauthenticatedContext().firestore(),
+};
+
+test.describe('profiles and child PINs', () => {
+  test('an account reads only its own profile', async () => {
+    await assertSucceeds(getDoc(doc(as.parent(), 'profiles/parent-1')));
+    await assertFails(getDoc(doc(as.parent(), 'profiles/parent-2')));
+    await assertFails(getDoc(doc(as.anonymous(), 'profiles/parent-1')));
+  });
+
+  test('nobody can change a profile from the app', async () => {
+    await assertFails(updateDoc(doc(as.parent(), 'profiles/parent-1'), { student_ids: [STUDENT_ID, OTHER_STUDENT_ID] }));
+    await assertFails(updateDoc(doc(as.child(), `profiles/child-${STUDENT_ID}`), { role: 'parent' }));
+    await assertFails(setDoc(doc(as.noProfile(), 'profiles/stranger'), { role: 'parent', student_ids: [STUDENT_ID] }));
+  });
+
+  test('PIN hashes are never readable or writable', async () => {
+    for (const db of [as.parent(), as.child(), as.anonymous()]) {
+      await assertFails(getDoc(doc(db, `childPins/${STUDENT_ID}`)));
+      await assertFails(setDoc(doc(db, `childPins/${STUDENT_ID}`), { salt: 'x', hash: 'y' }));
+    }
+  });
+});
+
+test.describe('students, timetables and lesson diaries', () => {
+  test('parent and child read their own student', async () => {
+    for (const db of [as.parent(), as.child()]) {
+      await assertSucceeds(getDoc(doc(db, `students/${STUDENT_ID}`)));
+      await assertSucceeds(getDocs(collection(db, `students/${STUDENT_ID}/subjects`)));
+      await assertSucceeds(getDocs(collection(db, `students/${STUDENT_ID}/subjects/math/lessons`)));
+    }
+  });
+
+  test('other families, accounts without a profile and visitors cannot read', async () => {
+    for (const db of [as.otherParent(), as.noProfile(), as.anonymous()]) {
+      await assertFails(getDoc(doc(db, `students/${STUDENT_ID}`)));
+      await assertFails(getDocs(collection(db, `students/${STUDENT_ID}/subjects`)));
+      await assertFails(getDocs(collection(db, `students/${STUDENT_ID}/subjects/math/lessons`)));
+    }
+  });
+
+  test('the student list cannot be read as a whole', async () => {
+    await assertFails(getDocs(collection(as.parent(), 'students')));
+  });
+
+  test('only the scraper writes students and timetables', async () => {
+    await assertFails(updateDoc(doc(as.parent(), `students/${STUDENT_ID}`), { name: 'Renamed' }));
+    await assertFails(updateDoc(doc(as.parent(), `students/${STUDENT_ID}/subjects/math`), { color: 'red' }));
+    await assertFails(setDoc(doc(as.parent(), `students/${STUDENT_ID}/subjects/math/lessons/l2`), { topic: 'x' }));
+  });
+});
+
+test.describe('tasks', () => {
+  test('tasks are read by student', async () => {
+    for (const db of [as.parent(), as.child()]) {
+      await assertSucceeds(getDocs(query(collection(db, 'tasks'), where('student_id', '==', STUDENT_ID))));
+      await assertSucceeds(getDoc(doc(db, 'tasks/t1')));
+      await assertFails(getDoc(doc(db, 'tasks/t2')));
+    }
+    await assertFails(getDocs(query(collection(as.parent(), 'tasks'), where('student_id', '==', OTHER_STUDENT_ID))));
+    await assertFails(getDocs(collection(as.parent(), 'tasks')));
+    await assertFails(getDoc(doc(as.anonymous(), 'tasks/t1')));
+    await assertFails(getDoc(doc(as.noProfile(), 'tasks/t1')));
+  });
+
+  test('a child can complete a task and tick off its steps', async () => {
+    const db = as.child();
+    await assertSucceeds(updateDoc(doc(db, 'tasks/t1'), { completed: true, completedDate: '2025-03-11T15:00:00Z' }));
+    await assertSucceeds(updateDoc(doc(db, 'tasks/t1'), { parts_done: arrayUnion('pages-45') }));
+    await assertSucceeds(updateDoc(doc(db, 'tasks/t1'), { status: 'completed' }));
+  });
+
+  test('a child cannot edit, add or delete tasks', async () => {
+    const db = as.child();
+    await assertFails(updateDoc(doc(db, 'tasks/t1'), { description: 'Nothing to do' }));
+    await assertFails(updateDoc(doc(db, 'tasks/t1'), { completed: true, due_date: '2025-04-01' }));
+    await assertFails(setDoc(doc(db, 'tasks/t3'), { student_id: STUDENT_ID, description: 'New' }));
+    await assertFails(deleteDoc(doc(db, 'tasks/t1')));
+  });
+
+  test('a parent can add, edit and delete their student\'s tasks', async () => {
+    const db = as.parent();
+    await assertSucceeds(setDoc(doc(db, 'tasks/t3'), { student_id: STUDENT_ID, description: 'Pack the bag' }));
+    await assertSucceeds(updateDoc(doc(db, 'tasks/t1'), { description: 'Kirja s. 45-46', completed: true }));
+    await assertSucceeds(deleteDoc(doc(db, 'tasks/t1')));
+  });
+
+  test('a parent cannot move a task to another student or touch other families\' tasks', async () => {
+    const db = as.parent();
+    await assertFails(updateDoc(doc(db, 'tasks/t1'), { student_id: OTHER_STUDENT_ID }));
+    await assertFails(setDoc(doc(db, 'tasks/t4'), { student_id: OTHER_STUDENT_ID, description: 'x' }));
+    await assertFails(updateDoc(doc(db, 'tasks/t2'), { completed: true }));
+    await assertFails(deleteDoc(doc(db, 'tasks/t2')));
+  });
+
+  test('visitors cannot write tasks', async () => {
+    await assertFails(updateDoc(doc(as.anonymous(), 'tasks/t1'), { completed: true }));
+    await assertFails(setDoc(doc(as.noProfile(), 'tasks/t5'), { student_id: STUDENT_ID }));
+  });
+
+  test('revisions are readable with their task and written only by the scraper', async () => {
+    await assertSucceeds(getDocs(collection(as.child(), 'tasks/t1/revisions')));
+    await assertFails(getDocs(collection(as.child(), 'tasks/t2/revisions')));
+    await assertFails(getDocs(collection(as.anonymous(), 'tasks/t1/revisions')));
+    await assertFails(addDoc(collection(as.parent(), 'tasks/t1/revisions'), { changes: {} }));
+  });
+});
+
+test.describe('messages', () => {
+  test('messages are read by student', async () => {
+    await assertSucceeds(getDocs(query(collection(as.child(), 'messages'), where('student_id', '==', STUDENT_ID))));
+    await assertFails(getDoc(doc(as.parent(), 'messages/m2')));
+    await assertFails(getDoc(doc(as.anonymous(), 'messages/m1')));
+  });
+
+  test('a child can mark a message read but not promote it', async () => {
+    await assertSucceeds(updateDoc(doc(as.child(), 'messages/m1'), { read: true }));
+    await assertFails(updateDoc(doc(as.child(), 'messages/m1'), { promoted_task_id: 'm1' }));
+  });
+
+  test('a parent can promote a message but not rewrite it', async () => {
+    await assertSucceeds(updateDoc(doc(as.parent(), 'messages/m1'), { read: true, promoted_task_id: 'm1' }));
+    await assertFails(updateDoc(doc(as.parent(), 'messages/m1'), { subject: 'Changed' }));
+    await assertFails(deleteDoc(doc(as.parent(), 'messages/m1')));
+    await assertFails(updateDoc(doc(as.otherParent(), 'messages/m1'), { read: true }));
+  });
+});
+
+test.describe('grades and attendance', () => {
+  for (const name of ['grades', 'attendance']) {
+    const [own, other] = name === 'grades' ? ['g1', 'g2'] : ['a1', 'a2'];
+
+    test(`${name} are read-only and scoped to the student`, async () => {
+      await assertSucceeds(getDocs(query(collection(as.child(), name), where('student_id', '==', STUDENT_ID))));
+      await assertSucceeds(getDoc(doc(as.parent(), `${name}/${own}`)));
+      await assertFails(getDoc(doc(as.parent(), `${name}/${other}`)));
+      await assertFails(getDoc(doc(as.anonymous(), `${name}/${own}`)));
+      await assertFails(updateDoc(doc(as.parent(), `${name}/${own}`), { student_id: STUDENT_ID, date: '2025-01-01' }));
+      await assertFails(deleteDoc(doc(as.parent(), `${name}/${own}`)));
+    });
+  }
+});
+
+test.describe('shared data', () => {
+  for (const docPath of ['subjects/math', 'calendar/school', 'scraperRuns/run1']) {
+    test(`${docPath} is readable when signed in and never writable`, async () => {
+      await assertSucceeds(getDoc(doc(as.child(), docPath)));
+      await assertSucceeds(getDoc(doc(as.noProfile(), docPath)));
+      await assertFails(getDoc(doc(as.anonymous(), docPath)));
+      await assertFails(setDoc(doc(as.parent(), docPath), { changed: true }, { merge: true }));
+    });
+  }
+
+  test('only a parent assigns a course name to a subject', async () => {
+    const assignment = { subject: 'Art', status: 'assigned', assignedAt: '2025-03-11T15:00:00Z' };
+    await assertSucceeds(getDocs(collection(as.child(), 'subjectAliases')));
+    await assertFails(updateDoc(doc(as.child(), 'subjectAliases/kuvataide'), assignment));
+    await assertSucceeds(updateDoc(doc(as.parent(), 'subjectAliases/kuvataide'), assignment));
+    await assertFails(updateDoc(doc(as.parent(), 'subjectAliases/kuvataide'), { value: 'Renamed' }));
+    await assertFails(setDoc(doc(as.parent(), 'subjectAliases/new'), { match: 'exact', value: 'New', subject: 'Art' }));
+  });
+
+  test('the course name registry is shared, but an assigned name stays put', async () => {
+    const assignment = { subject: 'Art', status: 'assigned', assignedAt: '2025-03-11T15:00:00Z' };
+    await assertSucceeds(updateDoc(doc(as.otherParent(), 'subjectAliases/kuvataide'), assignment));
+    await assertFails(updateDoc(doc(as.otherParent(), 'subjectAliases/matematiikka'), assignment));
+    await assertFails(updateDoc(doc(as.parent(), 'subjectAliases/matematiikka'), assignment));
+    await assertFails(updateDoc(doc(as.noProfile(), 'subjectAliases/kuvataide'), assignment));
+  });
+
+  test('collections without a rule are closed', async () => {
+    await assertFails(getDoc(doc(as.parent(), 'settings/app')));
+    await assertFails(setDoc(doc(as.parent(), 'settings/app'), { theme: 'dark' }));
+  });
+});
+
+test.describe('scraper', () => {
+  test('writes through the client SDK without a service account are refused', async () => {
+    // What the scraper did before it moved to firebase-admin
+    const db = as.anonymous();
+    await assertFails(setDoc(doc(db, 'tasks/t9'), { student_id: STUDENT_ID, description: 'x' }));
+    await assertFails(setDoc(doc(db, `students/${STUDENT_ID}`), { name: 'x' }, { merge: true }));
+    await assertFails(addDoc(collection(db, 'scraperRuns'), { type: 'sync', status: 'running' }));
+  });
+
+  test('the service account writes every collection regardless of the rules', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await assertSucceeds(setDoc(doc(db, 'tasks/t9'), { student_id: STUDENT_ID, description: 'x' }));
+      await assertSucceeds(setDoc(doc(db, `students/${STUDENT_ID}/subjects/math/lessons/l2`), { topic: 'x' }));
+      await assertSucceeds(addDoc(collection(db, 'scraperRuns'), { type: 'sync', status: 'running' }));
+      await assertSucceeds(setDoc(doc(db, `childPins/${STUDENT_ID}`), { salt: 'x', hash: 'y' }));
+    });
+  });
+});